@@ -6,9 +6,19 @@ struct Circle {
     position: vec2<f32>,
     velocity: vec2<f32>,
     acceleration: vec2<f32>,
-    padding1: vec2<f32>,
     color: vec3<f32>,
-    padding2: f32,
+    alive: u32, // 0 once removed, e.g. by an absorbing boundary
+    species: u32,
+    radius: f32,
+    mass: f32,
+    grabbed: u32, // 1 + the pointer slot holding it with the drag tool, 0 when not held
+    age: f32, // Seconds since it was spawned
+    lifetime: f32, // Seconds it lives for, 0 for ever
+}
+
+// Species of circles, see species.js
+struct Species {
+    color: vec3<f32>,
 }
 
 struct VertexInput {
@@ -19,10 +29,15 @@ struct VertexInput {
 struct FragmentInput {
     @builtin(position) position: vec4<f32>,
     @location(0) color: vec3<f32>,
+    @location(1) alpha: f32,
 }
 
 @group(0) @binding(0) var<uniform> uniforms: Uniforms;
 @group(0) @binding(1) var<storage, read> circles: array<Circle>;
+@group(0) @binding(2) var<storage, read> species: array<Species, MAX_SPECIES>;
+
+const MAX_SPECIES: u32 = 8u; // Must match MAX_SPECIES in species.js and movement.wgsl
+const FADE_TIME: f32 = 1.0; // Seconds over which circles fade out before their lifetime ends
 
 @vertex
 fn vs_main(input: VertexInput) -> FragmentInput {
@@ -30,20 +45,29 @@ fn vs_main(input: VertexInput) -> FragmentInput {
     
     // Get circle data using instance index
     let circle = circles[input.instance_index];
+    let circle_species = species[circle.species];
     
-    // Transform local vertex position to world position
-    let world_pos = input.position + circle.position;
+    // Transform the unit circle to world position, scaled to the circle radius
+    // and collapsing removed circles to a point
+    let scale = circle.radius * f32(circle.alive != 0u);
+    let world_pos = input.position * scale + circle.position;
     
     // Convert pixel coordinates to normalized device coordinates
     let ndc = (world_pos / uniforms.resolution) * 2.0 - 1.0;
     let flipped_ndc = vec2<f32>(ndc.x, -ndc.y);
     
     out.position = vec4<f32>(flipped_ndc, 0.0, 1.0);
-    out.color = circle.color;
+    out.color = circle.color * circle_species.color; // Tinted by the species colour
+
+    // Fade out towards the end of the lifetime, taking at most half of it
+    out.alpha = 1.0;
+    if circle.lifetime > 0.0 {
+        out.alpha = clamp((circle.lifetime - circle.age) / min(FADE_TIME, circle.lifetime * 0.5), 0.0, 1.0);
+    }
     return out;
 }
 
 @fragment
 fn fs_main(input: FragmentInput) -> @location(0) vec4<f32> {
-    return vec4<f32>(input.color, 1.0);
+    return vec4<f32>(input.color, input.alpha);
 }
@@ -0,0 +1,767 @@
+// CPU particle simulation using struct-of-arrays storage and a uniform grid cell list
+// Mirrors the physics in movement.wgsl
+import { forceFunctions } from './forces.js';
+import { HISTOGRAM_BINS, createTotals } from './stats.js';
+
+// Physics parameters (inter_epsilon, inter_sigma, max_accel, ...) come with the environment,
+// see PHYSICS_PARAMS in particles.js
+const CIRCLE_RADIUS = 5.0; // Default radius, each particle has its own
+const NEIGHBOUR_CUTOFF_SIGMAS = 3.0; // Range of attractive and repulsive interactions, as in particles.js
+const CONTACT_STIFFNESS = 10.0; // Repulsion of overlapping particles in multiples of inter_epsilon
+
+// Interaction kinds, see INTERACTION_KINDS in species.js
+const INTERACTION_LENNARD_JONES = 0;
+const INTERACTION_ATTRACTIVE = 1;
+const INTERACTION_REPULSIVE = 2;
+
+// Integration schemes, see INTEGRATORS in particles.js
+const INTEGRATOR_EXPLICIT_EULER = 0;
+const INTEGRATOR_SEMI_IMPLICIT_EULER = 1;
+const INTEGRATOR_VELOCITY_VERLET = 2;
+
+// Mouse tools, see MOUSE_TOOLS in particles.js
+const MOUSE_TOOL_REPEL = 0;
+const MOUSE_TOOL_ATTRACT = 1;
+const MOUSE_TOOL_DRAG = 2;
+const MOUSE_TOOL_ERASE = 4;
+
+// Boundary modes, see BOUNDARY_MODES in particles.js
+const BOUNDARY_REFLECTIVE = 0;
+const BOUNDARY_PERIODIC = 1;
+const BOUNDARY_ABSORBING = 2;
+const BOUNDARY_OPEN = 3;
+
+// Collision modes, see COLLISION_MODES in particles.js
+const COLLISION_OFF = 0;
+const COLLISION_ONLY = 2;
+
+// Thermostats, see THERMOSTATS in particles.js
+const THERMOSTAT_OFF = 0;
+const THERMOSTAT_RESCALE = 1;
+const THERMOSTAT_BERENDSEN = 2;
+const THERMOSTAT_LANGEVIN = 3;
+
+// Emitter types, see EMITTER_TYPES in emitters.js
+const EMITTER_LINE = 1;
+const EMITTER_AREA = 2;
+
+// Small epsilon to avoid division by zero
+const EPS = 1e-5;
+
+// Create struct-of-arrays storage for `count` particles
+function createParticles(count) {
+    return {
+        count,
+        x: new Float32Array(count),
+        y: new Float32Array(count),
+        vx: new Float32Array(count),
+        vy: new Float32Array(count),
+        ax: new Float32Array(count),
+        ay: new Float32Array(count),
+        fx: new Float32Array(count), // Inter-particle acceleration of the current step
+        fy: new Float32Array(count),
+        shiftX: new Float32Array(count), // Position correction from collisions of the current step
+        shiftY: new Float32Array(count),
+        kickX: new Float32Array(count), // Velocity change from collisions of the current step
+        kickY: new Float32Array(count),
+        potential: new Float32Array(count), // Potential energy of the current step
+        r: new Float32Array(count),
+        g: new Float32Array(count),
+        b: new Float32Array(count),
+        alive: new Uint8Array(count), // 0 once removed, e.g. by an absorbing boundary
+        species: new Uint8Array(count),
+        radius: new Float32Array(count),
+        mass: new Float32Array(count),
+        grabbed: new Uint8Array(count), // 1 + the pointer slot holding it with the drag tool, 0 when not held
+        age: new Float32Array(count), // Seconds since it was spawned
+        lifetime: new Float32Array(count), // Seconds it lives for, 0 for ever
+        cellHead: new Int32Array(1), // First particle of each cell, -1 if empty
+        cellNext: new Int32Array(count), // Next particle in the same cell, -1 at the end
+        gridX: 1, // Number of cells along x
+        gridY: 1, // Number of cells along y
+        cellWidth: Infinity, // Cell size in pixels, at least the cutoff
+        cellHeight: Infinity,
+    };
+}
+
+// Load particle state from packed circle data (see CIRCLE_LAYOUT in particles.js)
+function readParticles(particles, view, layout) {
+    const { position, velocity, acceleration, color, alive, species, radius, mass, grabbed, age, lifetime } = layout.fields;
+    for (let i = 0; i < particles.count; i++) {
+        const base = i * layout.size;
+        particles.r[i] = view.getFloat32(base + color.offset, true);
+        particles.g[i] = view.getFloat32(base + color.offset + 4, true);
+        particles.b[i] = view.getFloat32(base + color.offset + 8, true);
+        particles.alive[i] = view.getUint32(base + alive.offset, true) !== 0 ? 1 : 0;
+        particles.species[i] = view.getUint32(base + species.offset, true);
+        particles.radius[i] = view.getFloat32(base + radius.offset, true);
+        particles.mass[i] = view.getFloat32(base + mass.offset, true);
+        particles.grabbed[i] = view.getUint32(base + grabbed.offset, true);
+        particles.age[i] = view.getFloat32(base + age.offset, true);
+        particles.lifetime[i] = view.getFloat32(base + lifetime.offset, true);
+        particles.x[i] = view.getFloat32(base + position.offset, true);
+        particles.y[i] = view.getFloat32(base + position.offset + 4, true);
+        particles.vx[i] = view.getFloat32(base + velocity.offset, true);
+        particles.vy[i] = view.getFloat32(base + velocity.offset + 4, true);
+        particles.ax[i] = view.getFloat32(base + acceleration.offset, true);
+        particles.ay[i] = view.getFloat32(base + acceleration.offset + 4, true);
+    }
+}
+
+// Load obstacle capsules from packed obstacle data (see OBSTACLE_LAYOUT in particles.js)
+function readObstacles(view, layout, count) {
+    const obstacles = {
+        count,
+        startX: new Float32Array(count),
+        startY: new Float32Array(count),
+        endX: new Float32Array(count),
+        endY: new Float32Array(count),
+        radius: new Float32Array(count),
+    };
+    const { start, end, radius } = layout.fields;
+    for (let i = 0; i < count; i++) {
+        const base = i * layout.size;
+        obstacles.startX[i] = view.getFloat32(base + start.offset, true);
+        obstacles.startY[i] = view.getFloat32(base + start.offset + 4, true);
+        obstacles.endX[i] = view.getFloat32(base + end.offset, true);
+        obstacles.endY[i] = view.getFloat32(base + end.offset + 4, true);
+        obstacles.radius[i] = view.getFloat32(base + radius.offset, true);
+    }
+    return obstacles;
+}
+
+// Load emitters and their spawn tickets from packed emitter data (see EMITTER_LAYOUT in emitters.js)
+function readEmitters(view, layout, count) {
+    const emitters = [];
+    for (let i = 0; i < count; i++) {
+        const base = i * layout.size;
+        const field = (name, component = 0) => view.getFloat32(base + layout.fields[name].offset + component * 4, true);
+        const uintField = (name) => view.getUint32(base + layout.fields[name].offset, true);
+        emitters.push({
+            startX: field('start'), startY: field('start', 1),
+            endX: field('end'), endY: field('end', 1),
+            r: field('color'), g: field('color', 1), b: field('color', 2),
+            kind: uintField('kind'),
+            direction: field('direction'),
+            spread: field('spread'),
+            speed: field('speed'),
+            speedSpread: field('speed_spread'),
+            lifetime: field('lifetime'),
+            species: uintField('species'),
+            radius: field('radius'),
+            mass: field('mass'),
+            first: uintField('first'),
+            count: uintField('count'),
+        });
+    }
+    return emitters;
+}
+
+// PCG hash of a 32-bit value, as in emitters.wgsl
+function hash(value) {
+    const state = (Math.imul(value, 747796405) + 2891336453) >>> 0;
+    const word = Math.imul(((state >>> ((state >>> 28) + 4)) ^ state) >>> 0, 277803737) >>> 0;
+    return ((word >>> 22) ^ word) >>> 0;
+}
+
+// Spawn `total` emitted particles into removed ones, mirroring spawn_circles in emitters.wgsl
+// Spawn tickets go to the removed particles in order, tickets without a removed particle are dropped
+function spawnParticles(particles, emitters, total, seed) {
+    let ticket = 0;
+    for (let i = 0; i < particles.count && ticket < total; i++) {
+        if (particles.alive[i]) continue;
+
+        const emitter = emitters.find((entry) => ticket >= entry.first && ticket < entry.first + entry.count) || emitters[0];
+        let state = hash((seed ^ hash(ticket)) >>> 0);
+        const random = () => {
+            state = hash(state);
+            return (state >>> 8) / 16777216;
+        };
+        ticket++;
+
+        const alongX = random();
+        const alongY = random();
+        let posX = emitter.startX;
+        let posY = emitter.startY;
+        if (emitter.kind === EMITTER_LINE) {
+            posX += (emitter.endX - emitter.startX) * alongX;
+            posY += (emitter.endY - emitter.startY) * alongX;
+        } else if (emitter.kind === EMITTER_AREA) {
+            posX += (emitter.endX - emitter.startX) * alongX;
+            posY += (emitter.endY - emitter.startY) * alongY;
+        }
+
+        // Screen y points down, so up is negative y
+        const angle = emitter.direction + (random() - 0.5) * emitter.spread;
+        const speed = emitter.speed * (1.0 + (random() * 2.0 - 1.0) * emitter.speedSpread);
+
+        particles.x[i] = posX;
+        particles.y[i] = posY;
+        particles.vx[i] = Math.cos(angle) * speed;
+        particles.vy[i] = -Math.sin(angle) * speed;
+        particles.ax[i] = 0.0;
+        particles.ay[i] = 0.0;
+        particles.r[i] = emitter.r;
+        particles.g[i] = emitter.g;
+        particles.b[i] = emitter.b;
+        particles.alive[i] = 1;
+        particles.species[i] = emitter.species;
+        particles.radius[i] = emitter.radius;
+        particles.mass[i] = emitter.mass;
+        particles.grabbed[i] = 0;
+        particles.age[i] = 0.0;
+        particles.lifetime[i] = emitter.lifetime;
+    }
+}
+
+// Count the particles that are alive
+function countAlive(particles) {
+    let count = 0;
+    for (let i = 0; i < particles.count; i++) {
+        count += particles.alive[i];
+    }
+    return count;
+}
+
+// Sum up the statistics of the live particles like stats.wgsl, see STATS_TOTALS_LAYOUT in stats.js
+// Speeds are binned from 0 to `histogramMax`, the potential energy is that of the last step
+function measureParticles(particles, histogramMax) {
+    const { count, x, y, vx, vy, alive, mass, potential } = particles;
+    const totals = createTotals();
+    for (let i = 0; i < count; i++) {
+        if (!alive[i]) continue;
+        const speedSq = vx[i] * vx[i] + vy[i] * vy[i];
+        const speed = Math.sqrt(speedSq);
+        totals.count++;
+        totals.kinetic += 0.5 * mass[i] * speedSq;
+        totals.potential += potential[i];
+        totals.speed += speed;
+        totals.speed_sq += speedSq;
+        totals.mass += mass[i];
+        totals.momentum[0] += mass[i] * vx[i];
+        totals.momentum[1] += mass[i] * vy[i];
+        totals.mass_position[0] += mass[i] * x[i];
+        totals.mass_position[1] += mass[i] * y[i];
+        totals.histogram[Math.min(Math.floor(speed / histogramMax * HISTOGRAM_BINS), HISTOGRAM_BINS - 1)]++;
+    }
+    return totals;
+}
+
+// Scale the velocities of the free particles towards the target temperature before a step,
+// all at once (rescaling) or over the thermostat time (Berendsen), like thermostat.wgsl
+function rescaleVelocities(particles, thermostat, params, deltaTime) {
+    const { count, vx, vy, alive, grabbed, mass } = particles;
+
+    // Temperature is the mean kinetic energy per particle, particles at rest cannot be scaled up
+    let kinetic = 0;
+    let free = 0;
+    for (let i = 0; i < count; i++) {
+        if (!alive[i] || grabbed[i]) continue;
+        kinetic += 0.5 * mass[i] * (vx[i] * vx[i] + vy[i] * vy[i]);
+        free++;
+    }
+    const temperature = kinetic / Math.max(free, 1);
+    const ratio = temperature > 0 ? params.target_temperature / temperature : 1;
+    const scale = thermostat === THERMOSTAT_RESCALE
+        ? Math.sqrt(ratio)
+        : Math.sqrt(Math.max(1 + deltaTime / params.thermostat_time * (ratio - 1), 0));
+
+    for (let i = 0; i < count; i++) {
+        if (!alive[i] || grabbed[i]) continue;
+        let velX = vx[i] * scale;
+        let velY = vy[i] * scale;
+        const speed = Math.hypot(velX, velY);
+        if (speed > params.max_speed) {
+            velX *= params.max_speed / speed;
+            velY *= params.max_speed / speed;
+        }
+        vx[i] = velX;
+        vy[i] = velY;
+    }
+}
+
+// Sort the live particles into a uniform grid of cells at least `cutoff` wide as linked lists
+// The cells exactly cover the canvas so neighbours also wrap around correctly
+// An infinite cutoff puts every particle into a single cell (all pairs)
+function buildCellList(particles, width, height, cutoff) {
+    const gridX = Number.isFinite(cutoff) ? Math.max(Math.floor(width / cutoff), 1) : 1;
+    const gridY = Number.isFinite(cutoff) ? Math.max(Math.floor(height / cutoff), 1) : 1;
+    const numCells = gridX * gridY;
+
+    if (particles.cellHead.length < numCells) {
+        particles.cellHead = new Int32Array(numCells);
+    }
+    particles.cellHead.fill(-1, 0, numCells);
+    particles.gridX = gridX;
+    particles.gridY = gridY;
+    particles.cellWidth = Number.isFinite(cutoff) ? width / gridX : Infinity;
+    particles.cellHeight = Number.isFinite(cutoff) ? height / gridY : Infinity;
+
+    for (let i = 0; i < particles.count; i++) {
+        if (!particles.alive[i]) continue;
+        const cell = cellIndex(particles, particles.x[i], particles.y[i]);
+        particles.cellNext[i] = particles.cellHead[cell];
+        particles.cellHead[cell] = i;
+    }
+}
+
+// Get the cell index containing a position, clamped to the grid
+function cellIndex(particles, x, y) {
+    if (!Number.isFinite(particles.cellWidth)) {
+        return 0;
+    }
+    const cx = Math.min(Math.max(Math.floor(x / particles.cellWidth), 0), particles.gridX - 1);
+    const cy = Math.min(Math.max(Math.floor(y / particles.cellHeight), 0), particles.gridY - 1);
+    return cy * particles.gridX + cx;
+}
+
+// Range of adjacent cells along one axis, possibly past the grid when wrapping around
+// With fewer than 3 cells, periodic neighbours would repeat, so every cell is visited once instead
+function neighbourRange(cell, gridCount, periodic) {
+    if (!periodic) {
+        return [Math.max(cell - 1, 0), Math.min(cell + 1, gridCount - 1)];
+    }
+    return gridCount < 3 ? [0, gridCount - 1] : [cell - 1, cell + 1];
+}
+
+// Clamp velocity and dampen it, returning the scale to apply to both components
+function velocityScale(velX, velY, params) {
+    const vLen = Math.hypot(velX, velY);
+    return (vLen > params.max_speed ? params.max_speed / vLen : 1.0) * params.damping;
+}
+
+// Force between two particles at `dist` apart, positive pushing them apart
+// `kind` and `strength` are how the other species acts on this one, `contact` the sum of their radii
+function pairForce(kind, strength, dist, contact, params) {
+    switch (kind) {
+        case INTERACTION_ATTRACTIVE:
+        case INTERACTION_REPULSIVE: {
+            const range = params.inter_sigma * NEIGHBOUR_CUTOFF_SIGMAS;
+            if (dist < contact) {
+                // Overlapping particles always repel
+                return CONTACT_STIFFNESS * params.inter_epsilon * (1.0 - dist / contact);
+            }
+            if (dist >= range) {
+                return 0.0;
+            }
+            // Triangular profile peaking halfway between contact and range
+            const peak = 1.0 - Math.abs(2.0 * dist - contact - range) / (range - contact);
+            return (kind === INTERACTION_REPULSIVE ? 1.0 : -1.0) * strength * params.inter_epsilon * peak;
+        }
+
+        case INTERACTION_LENNARD_JONES:
+        default: {
+            if (dist <= contact) {
+                return 0.0;
+            }
+            // inter_sigma is for two particles of CIRCLE_RADIUS, other sizes scale it
+            const sigma = params.inter_sigma * contact / (2.0 * CIRCLE_RADIUS);
+            const interTerm = sigma / Math.max(dist, EPS);
+            const weak = interTerm * interTerm * interTerm; // ^3
+            const strong = weak * weak; // ^6
+            return 4.0 * params.inter_epsilon * strength * (strong - weak);
+        }
+    }
+}
+
+// Potential energy of a particle from another at `dist` apart, the integral of the Lennard-Jones force of pairForce
+// Only that interaction kind has a potential, the others count as zero
+function pairPotential(kind, strength, dist, contact, params) {
+    if (kind === INTERACTION_ATTRACTIVE || kind === INTERACTION_REPULSIVE || dist <= contact) {
+        return 0.0;
+    }
+    const sigma = params.inter_sigma * contact / (2.0 * CIRCLE_RADIUS);
+    const interTerm = sigma / dist;
+    const termSq = interTerm * interTerm;
+    const term5 = termSq * termSq * interTerm;
+    return 4.0 * params.inter_epsilon * strength * sigma * (term5 / 5.0 - termSq / 2.0);
+}
+
+// Push a particle of `radius` out of the obstacles it overlaps and bounce it off their surface
+// Works on the new position and velocity, returned as [posX, posY, velX, velY]
+function collideObstacles(obstacles, radius, posX, posY, velX, velY, restitution) {
+    for (let o = 0; o < obstacles.count; o++) {
+        // Closest point on the obstacle segment
+        const startX = obstacles.startX[o];
+        const startY = obstacles.startY[o];
+        const segmentX = obstacles.endX[o] - startX;
+        const segmentY = obstacles.endY[o] - startY;
+        const lengthSq = segmentX * segmentX + segmentY * segmentY;
+        const t = Math.min(Math.max(((posX - startX) * segmentX + (posY - startY) * segmentY) / Math.max(lengthSq, EPS), 0.0), 1.0);
+        const offsetX = posX - (startX + t * segmentX);
+        const offsetY = posY - (startY + t * segmentY);
+        const distance = Math.hypot(offsetX, offsetY);
+        const penetration = obstacles.radius[o] + radius - distance;
+        if (penetration <= 0.0) continue;
+
+        // Normal pointing out of the obstacle, across the segment when exactly on it
+        let normalX = 0.0, normalY = -1.0;
+        if (distance > EPS) {
+            normalX = offsetX / distance;
+            normalY = offsetY / distance;
+        } else if (lengthSq > EPS) {
+            const length = Math.sqrt(lengthSq);
+            normalX = -segmentY / length;
+            normalY = segmentX / length;
+        }
+
+        posX += normalX * penetration;
+        posY += normalY * penetration;
+        const normalSpeed = velX * normalX + velY * normalY;
+        if (normalSpeed < 0.0) {
+            velX -= (1.0 + restitution) * normalSpeed * normalX;
+            velY -= (1.0 + restitution) * normalSpeed * normalY;
+        }
+    }
+    return [posX, posY, velX, velY];
+}
+
+// Advance the simulation by `deltaTime` seconds
+// `env` holds width, height, mouseTool, pointers (pressed pointers { slot, x, y, dragX, dragY, grab }, see the uniforms
+// in movement.wgsl), gravityDirection, integrator, boundaryMode, collisionMode, thermostat, params
+// species (see speciesArrays in species.js), forces (stacked forces, see forces.js, optional),
+// cutoff (Infinity for all pairs) and obstacles (see readObstacles, optional)
+// When `output` ({ view, layout }) is given, the new state is written straight into the packed circle data
+function stepParticles(particles, env, deltaTime, output = null) {
+    const { width, height, cutoff, integrator, params, boundaryMode, collisionMode = COLLISION_OFF, thermostat = THERMOSTAT_OFF } = env;
+    const { count, x, y, vx, vy, ax, ay, fx, fy, shiftX, shiftY, kickX, kickY, potential, alive, radius, mass, grabbed, age, lifetime } = particles;
+    const { species } = env;
+    const periodic = boundaryMode === BOUNDARY_PERIODIC;
+    const stacked = forceFunctions(env.forces ?? []);
+
+    // Pressed pointers by slot, for the particles they hold
+    const pointersBySlot = [];
+    for (const pointer of env.pointers) {
+        pointersBySlot[pointer.slot] = pointer;
+    }
+
+    // Rescale the velocities the step starts from, like the thermostat pass on the GPU
+    if (thermostat === THERMOSTAT_RESCALE || thermostat === THERMOSTAT_BERENDSEN) {
+        rescaleVelocities(particles, thermostat, params, deltaTime);
+    }
+
+    // Bits of the positions and ages seeding the Langevin noise, as in movement.wgsl
+    const xBits = new Uint32Array(x.buffer, x.byteOffset, count);
+    const yBits = new Uint32Array(y.buffer, y.byteOffset, count);
+    const ageBits = new Uint32Array(age.buffer, age.byteOffset, count);
+
+    buildCellList(particles, width, height, cutoff);
+    const { cellHead, cellNext, gridX, gridY } = particles;
+    const cutoffSq = cutoff * cutoff;
+
+    // Inter-particle forces (Lennard-Jones-like) and collisions, all computed from the previous state
+    for (let i = 0; i < count; i++) {
+        if (!alive[i]) {
+            potential[i] = 0.0;
+            continue;
+        }
+        const cxPos = x[i];
+        const cyPos = y[i];
+        const own = particles.species[i];
+        const row = own * species.count;
+        let accX = 0.0, accY = 0.0;
+        let moveX = 0.0, moveY = 0.0, velChangeX = 0.0, velChangeY = 0.0;
+        let energy = 0.0;
+
+        const cell = cellIndex(particles, cxPos, cyPos);
+        const cellX = cell % gridX;
+        const cellY = (cell - cellX) / gridX;
+        const [firstX, lastX] = neighbourRange(cellX, gridX, periodic);
+        const [firstY, lastY] = neighbourRange(cellY, gridY, periodic);
+
+        for (let cy = firstY; cy <= lastY; cy++) {
+            for (let cx = firstX; cx <= lastX; cx++) {
+                const nx = (cx + gridX) % gridX;
+                const ny = (cy + gridY) % gridY;
+                for (let j = cellHead[ny * gridX + nx]; j !== -1; j = cellNext[j]) {
+                    if (j === i) continue;
+
+                    // Offset through the nearest periodic image when wrapping around
+                    let dx = x[j] - cxPos;
+                    let dy = y[j] - cyPos;
+                    if (periodic) {
+                        dx -= Math.round(dx / width) * width;
+                        dy -= Math.round(dy / height) * height;
+                    }
+                    const distSq = dx * dx + dy * dy;
+                    if (distSq > cutoffSq) continue;
+
+                    const dist = Math.sqrt(distSq);
+                    const other = particles.species[j];
+                    const contact = radius[i] + radius[j];
+
+                    // Hard spheres move out of the overlap and take the impulse in proportion to the mass of the other
+                    if (collisionMode !== COLLISION_OFF && dist < contact && dist >= EPS) {
+                        const normalX = dx / dist;
+                        const normalY = dy / dist;
+                        const share = mass[j] / (mass[i] + mass[j]);
+                        moveX -= normalX * (contact - dist) * share;
+                        moveY -= normalY * (contact - dist) * share;
+
+                        // Only particles moving towards each other bounce
+                        const normalSpeed = (vx[j] - vx[i]) * normalX + (vy[j] - vy[i]) * normalY;
+                        if (normalSpeed < 0.0) {
+                            velChangeX += (1.0 + params.collision_restitution) * share * normalSpeed * normalX;
+                            velChangeY += (1.0 + params.collision_restitution) * share * normalSpeed * normalY;
+                        }
+                    }
+                    if (collisionMode === COLLISION_ONLY) continue;
+
+                    energy += pairPotential(species.kind[row + other], species.strength[row + other], dist, contact, params);
+                    let interForce = pairForce(species.kind[row + other], species.strength[row + other], dist, contact, params);
+                    for (const force of stacked.pair) {
+                        interForce += force.cpu(force.params, dist, contact);
+                    }
+                    if (interForce === 0.0) continue;
+
+                    const invDist = 1.0 / Math.max(dist, EPS);
+                    accX -= dx * invDist * interForce;
+                    accY -= dy * invDist * interForce;
+                }
+            }
+        }
+
+        // Heavier particles accelerate less
+        fx[i] = accX / mass[i];
+        fy[i] = accY / mass[i];
+        shiftX[i] = moveX;
+        shiftY[i] = moveY;
+        kickX[i] = velChangeX;
+        kickY[i] = velChangeY;
+
+        // Both particles of a pair count its potential, so each takes half
+        potential[i] = 0.5 * energy;
+    }
+
+    // External forces, integration and walls
+    for (let i = 0; i < count; i++) {
+        if (!alive[i]) {
+            // Removed in an earlier substep, still write it out so the output marks it as removed
+            if (output) {
+                writeParticle(particles, i, output.view, output.layout);
+            }
+            continue;
+        }
+        let accX = fx[i];
+        let accY = fy[i];
+
+        // Resolve the collisions before integrating
+        x[i] += shiftX[i];
+        y[i] += shiftY[i];
+        vx[i] += kickX[i];
+        vy[i] += kickY[i];
+
+        // Mouse tool of each pointer, applied to the particles within the mouse radius
+        for (const pointer of env.pointers) {
+            const pdx = pointer.x - x[i];
+            const pdy = pointer.y - y[i];
+            const pDist = Math.sqrt(pdx * pdx + pdy * pdy);
+            if (pDist > params.mouse_radius) continue;
+
+            if ((env.mouseTool === MOUSE_TOOL_REPEL || env.mouseTool === MOUSE_TOOL_ATTRACT) && pDist > 0.0) {
+                // Strongest at the pointer, fading to zero at the radius
+                const falloff = 1.0 - pDist / params.mouse_radius;
+                const sign = env.mouseTool === MOUSE_TOOL_ATTRACT ? 1.0 : -1.0;
+                accX += sign * pdx / pDist * params.mouse_strength * falloff;
+                accY += sign * pdy / pDist * params.mouse_strength * falloff;
+            } else if (env.mouseTool === MOUSE_TOOL_ERASE) {
+                alive[i] = 0;
+            } else if (env.mouseTool === MOUSE_TOOL_DRAG && !grabbed[i] && pointer.grab) {
+                // Grabbed by the first pointer starting a drag over it
+                grabbed[i] = pointer.slot + 1;
+            }
+        }
+
+        // Let go of particles when their pointer is lifted
+        const holder = grabbed[i] ? pointersBySlot[grabbed[i] - 1] : undefined;
+        if (env.mouseTool !== MOUSE_TOOL_DRAG || !holder) {
+            grabbed[i] = 0;
+        }
+
+        // Gravity (note: multiplied by deltaTime here to match WGSL)
+        accY -= params.gravity * env.gravityDirection * deltaTime;
+
+        // Stacked field forces
+        for (const force of stacked.field) {
+            const [forceX, forceY] = force.cpu(force.params, x[i], y[i], vx[i], vy[i], width, height);
+            accX += forceX;
+            accY += forceY;
+        }
+
+        // Clamp acceleration
+        const aLen = Math.hypot(accX, accY);
+        if (aLen > params.max_accel) {
+            const scale = params.max_accel / aLen;
+            accX *= scale;
+            accY *= scale;
+        }
+
+        let posX, posY, velX, velY, scale;
+        if (grabbed[i]) {
+            // Held particles move with their pointer, keeping its velocity for when they are let go
+            posX = x[i] + holder.dragX;
+            posY = y[i] + holder.dragY;
+            velX = holder.dragX / deltaTime;
+            velY = holder.dragY / deltaTime;
+            scale = velocityScale(velX, velY, params);
+            velX *= scale;
+            velY *= scale;
+            accX = 0.0;
+            accY = 0.0;
+        } else {
+            switch (integrator) {
+                case INTEGRATOR_EXPLICIT_EULER:
+                    // Integrate position using the old velocity, then velocity
+                    posX = x[i] + vx[i] * deltaTime;
+                    posY = y[i] + vy[i] * deltaTime;
+                    velX = vx[i] + accX * deltaTime;
+                    velY = vy[i] + accY * deltaTime;
+                    scale = velocityScale(velX, velY, params);
+                    velX *= scale;
+                    velY *= scale;
+                    break;
+
+                case INTEGRATOR_VELOCITY_VERLET:
+                    // Finish the velocity with the average acceleration, then move using it and the new acceleration
+                    velX = vx[i] + 0.5 * (ax[i] + accX) * deltaTime;
+                    velY = vy[i] + 0.5 * (ay[i] + accY) * deltaTime;
+                    scale = velocityScale(velX, velY, params);
+                    velX *= scale;
+                    velY *= scale;
+                    posX = x[i] + velX * deltaTime + 0.5 * accX * deltaTime * deltaTime;
+                    posY = y[i] + velY * deltaTime + 0.5 * accY * deltaTime * deltaTime;
+                    break;
+
+                case INTEGRATOR_SEMI_IMPLICIT_EULER:
+                default:
+                    // Integrate velocity, then position using the new velocity
+                    velX = vx[i] + accX * deltaTime;
+                    velY = vy[i] + accY * deltaTime;
+                    scale = velocityScale(velX, velY, params);
+                    velX *= scale;
+                    velY *= scale;
+                    posX = x[i] + velX * deltaTime;
+                    posY = y[i] + velY * deltaTime;
+                    break;
+            }
+        }
+
+        // Langevin thermostat: friction and random kicks balancing at the target temperature
+        if (!grabbed[i] && thermostat === THERMOSTAT_LANGEVIN) {
+            let state = hash((xBits[i] ^ hash((yBits[i] ^ hash(ageBits[i])) >>> 0)) >>> 0);
+            const random = () => {
+                state = hash(state);
+                return (state >>> 8) / 16777216;
+            };
+            const friction = Math.exp(-deltaTime / params.thermostat_time);
+            const spread = Math.sqrt((1 - friction * friction) * params.target_temperature / mass[i]);
+
+            // Box-Muller transform of two uniform numbers into two independent normal ones
+            const magnitude = Math.sqrt(-2 * Math.log(1 - random()));
+            const angle = 2 * Math.PI * random();
+            velX = velX * friction + spread * magnitude * Math.cos(angle);
+            velY = velY * friction + spread * magnitude * Math.sin(angle);
+        }
+
+        if (env.obstacles) {
+            [posX, posY, velX, velY] = collideObstacles(env.obstacles, radius[i], posX, posY, velX, velY, params.restitution);
+        }
+
+        switch (boundaryMode) {
+            case BOUNDARY_PERIODIC:
+                // Wrap around to the opposite edge
+                posX -= Math.floor(posX / width) * width;
+                posY -= Math.floor(posY / height) * height;
+                break;
+
+            case BOUNDARY_ABSORBING:
+                // Remove particles whose centre left the canvas
+                if (posX < 0.0 || posY < 0.0 || posX > width || posY > height) {
+                    alive[i] = 0;
+                }
+                break;
+
+            case BOUNDARY_OPEN:
+                // Particles leave freely
+                break;
+
+            case BOUNDARY_REFLECTIVE:
+            default:
+                // Bounds and bounce, losing speed according to the restitution
+                if (posX - radius[i] < 0.0) {
+                    posX = radius[i];
+                    velX = -velX * params.restitution;
+                } else if (posX + radius[i] > width) {
+                    posX = width - radius[i];
+                    velX = -velX * params.restitution;
+                }
+
+                if (posY - radius[i] < 0.0) {
+                    posY = radius[i];
+                    velY = -velY * params.restitution;
+                } else if (posY + radius[i] > height) {
+                    posY = height - radius[i];
+                    velY = -velY * params.restitution;
+                }
+                break;
+        }
+
+        x[i] = posX;
+        y[i] = posY;
+        vx[i] = velX;
+        vy[i] = velY;
+        ax[i] = accX;
+        ay[i] = accY;
+
+        // Remove particles whose lifetime ran out
+        age[i] += deltaTime;
+        if (lifetime[i] > 0.0 && age[i] >= lifetime[i]) {
+            alive[i] = 0;
+        }
+
+        if (output) {
+            writeParticle(particles, i, output.view, output.layout);
+        }
+    }
+}
+
+// Write the state of every particle into packed circle data, e.g. after spawning without stepping
+function writeParticles(particles, view, layout) {
+    for (let i = 0; i < particles.count; i++) {
+        writeParticle(particles, i, view, layout);
+    }
+}
+
+// Write the state of particle `i` into packed circle data
+function writeParticle(particles, i, view, layout) {
+    const { position, velocity, acceleration, color, alive, species, radius, mass, grabbed, age, lifetime } = layout.fields;
+    const base = i * layout.size;
+    view.setFloat32(base + color.offset, particles.r[i], true);
+    view.setFloat32(base + color.offset + 4, particles.g[i], true);
+    view.setFloat32(base + color.offset + 8, particles.b[i], true);
+    view.setUint32(base + alive.offset, particles.alive[i], true);
+    view.setUint32(base + species.offset, particles.species[i], true);
+    view.setFloat32(base + radius.offset, particles.radius[i], true);
+    view.setFloat32(base + mass.offset, particles.mass[i], true);
+    view.setUint32(base + grabbed.offset, particles.grabbed[i], true);
+    view.setFloat32(base + age.offset, particles.age[i], true);
+    view.setFloat32(base + lifetime.offset, particles.lifetime[i], true);
+    view.setFloat32(base + position.offset, particles.x[i], true);
+    view.setFloat32(base + position.offset + 4, particles.y[i], true);
+    view.setFloat32(base + velocity.offset, particles.vx[i], true);
+    view.setFloat32(base + velocity.offset + 4, particles.vy[i], true);
+    view.setFloat32(base + acceleration.offset, particles.ax[i], true);
+    view.setFloat32(base + acceleration.offset + 4, particles.ay[i], true);
+}
+
+export {
+    createParticles,
+    readParticles,
+    readObstacles,
+    readEmitters,
+    spawnParticles,
+    countAlive,
+    measureParticles,
+    stepParticles,
+    writeParticles
+};
@@ -0,0 +1,96 @@
+// Web Worker running the CPU simulation off the main thread
+// Owns the particle state; receives environment updates and step requests, returns packed circle data,
+// the number of particles alive and, when asked for, their statistics
+import {
+    createParticles,
+    readParticles,
+    readObstacles,
+    readEmitters,
+    spawnParticles,
+    countAlive,
+    measureParticles,
+    stepParticles,
+    writeParticles
+} from './cpu_simulation.js';
+
+let particles = null; // Struct-of-arrays particle state
+let layout = null; // Circle struct layout of the packed circle data
+let output = null; // Packed circle data written every step (ArrayBuffer or SharedArrayBuffer)
+let shared = false; // Whether the output is shared with the main thread
+let generation = 0; // Generation of the loaded state, stale step requests are ignored
+let env = null; // Canvas size, mouse, gravity, integrator, cutoff and obstacles
+let obstacles = null; // Obstacle capsules, kept across environment updates
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    try {
+        switch (message.type) {
+            // Take over the particle state from packed circle data
+            case 'load':
+                generation = message.generation;
+                layout = message.layout;
+                output = message.buffer;
+                shared = typeof SharedArrayBuffer !== 'undefined' && output instanceof SharedArrayBuffer;
+                particles = createParticles(message.count);
+                readParticles(particles, new DataView(output), layout);
+                break;
+
+            // Update mouse, gravity and resolution
+            case 'env':
+                env = { ...message.env, obstacles };
+                break;
+
+            // Replace the obstacles from packed obstacle data
+            case 'obstacles':
+                obstacles = readObstacles(new DataView(message.buffer), message.layout, message.count);
+                if (env) {
+                    env = { ...env, obstacles };
+                }
+                break;
+
+            // Advance the simulation by a number of fixed substeps and hand the packed circle data back
+            case 'step': {
+                // Always answer so the main thread can request the next step
+                if (message.generation !== generation || !particles || !env) {
+                    const buffers = message.buffer ? [message.buffer] : [];
+                    self.postMessage({ type: 'frame', generation: message.generation, skipped: true, buffer: message.buffer }, buffers);
+                    return;
+                }
+                // A buffer sized for other circle data is dropped, writing into it would overflow or leave stale circles
+                if (message.buffer && message.buffer.byteLength === particles.count * layout.size) {
+                    output = message.buffer;
+                } else if (!output || output.byteLength !== particles.count * layout.size) {
+                    output = new ArrayBuffer(particles.count * layout.size);
+                }
+
+                // Emitted particles are spawned before stepping, like the spawn pass on the GPU
+                if (message.spawn) {
+                    const { buffer, layout: emitterLayout, count, total, seed } = message.spawn;
+                    spawnParticles(particles, readEmitters(new DataView(buffer), emitterLayout, count), total, seed);
+                }
+
+                // Only the last substep needs to be written out, painted particles are spawned even without stepping
+                for (let i = 0; i < message.substeps; i++) {
+                    const isLast = i === message.substeps - 1;
+                    stepParticles(particles, env, message.deltaTime, isLast ? { view: new DataView(output), layout } : null);
+                }
+                if (message.substeps === 0) {
+                    writeParticles(particles, new DataView(output), layout);
+                }
+
+                // Statistics are measured like the reduction pass on the GPU, after the last substep
+                const stats = message.measure ? measureParticles(particles, message.measure.histogramMax) : undefined;
+                if (shared) {
+                    self.postMessage({ type: 'frame', generation, alive: countAlive(particles), stats });
+                } else {
+                    self.postMessage({ type: 'frame', generation, alive: countAlive(particles), stats, buffer: output }, [output]);
+                    output = null;
+                }
+                break;
+            }
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,166 @@
+// Emitters spawning circles over time from a point, along a line or inside an area
+// Emitters are plain objects so they can be saved in snapshots:
+// { type, points, rate, speed, speedSpread, direction, spread, lifetime, species, color }
+// where points is [[x, y]] for a point, the two ends of a line or two opposite corners of an area,
+// direction and spread are in degrees (0 pointing right, 90 up) and a lifetime of 0 lasts forever
+import { defineStruct, writeStruct } from './layout.js';
+
+const MAX_EMITTERS = 16; // The emitter buffer in particles.js holds these and the painted circles of a frame
+const MAX_EMITTER_RATE = 5000; // Circles per second
+const MAX_EMITTER_SPEED = 2000; // Pixels per second
+const MAX_EMITTER_LIFETIME = 120; // Seconds
+const MIN_EMITTER_SIZE = 4; // Shorter lines and smaller areas become point emitters
+
+// Emitter types, ids must match the EMITTER_* constants in emitters.wgsl and cpu_simulation.js
+const EMITTER_TYPES = {
+    'point': { id: 0, label: 'Point' },
+    'line': { id: 1, label: 'Line' },
+    'area': { id: 2, label: 'Area' },
+};
+
+// Struct layout of Emitter in emitters.wgsl, with the spawn tickets of the emitter this frame
+// Angles are in radians, radius and mass come from the species of the emitter
+const EMITTER_LAYOUT = defineStruct('Emitter', [
+    ['start', 'vec2<f32>'],
+    ['end', 'vec2<f32>'],
+    ['color', 'vec3<f32>'],
+    ['kind', 'u32'],
+    ['direction', 'f32'],
+    ['spread', 'f32'],
+    ['speed', 'f32'],
+    ['speed_spread', 'f32'],
+    ['lifetime', 'f32'],
+    ['species', 'u32'],
+    ['radius', 'f32'],
+    ['mass', 'f32'],
+    ['first', 'u32'],
+    ['count', 'u32'],
+]);
+
+// Create an emitter with the default settings
+function createEmitter(type, points) {
+    return {
+        type,
+        points,
+        rate: 50,
+        speed: 150,
+        speedSpread: 0.2,
+        direction: 90,
+        spread: 30,
+        lifetime: 5,
+        species: 0,
+        color: [1, 1, 1],
+    };
+}
+
+// Distance from a point to an emitter, 0 inside an area
+function emitterDistance(emitter, x, y) {
+    const [[startX, startY], [endX, endY] = emitter.points[0]] = emitter.points;
+    if (emitter.type === 'area') {
+        const dx = Math.max(Math.min(startX, endX) - x, 0, x - Math.max(startX, endX));
+        const dy = Math.max(Math.min(startY, endY) - y, 0, y - Math.max(startY, endY));
+        return Math.hypot(dx, dy);
+    }
+
+    const segmentX = endX - startX;
+    const segmentY = endY - startY;
+    const lengthSq = segmentX * segmentX + segmentY * segmentY;
+    const t = lengthSq > 0 ? Math.min(Math.max(((x - startX) * segmentX + (y - startY) * segmentY) / lengthSq, 0), 1) : 0;
+    return Math.hypot(x - startX - t * segmentX, y - startY - t * segmentY);
+}
+
+// Find the topmost emitter within `tolerance` pixels of a point, returning its index or -1
+function findEmitter(emitters, x, y, tolerance) {
+    for (let i = emitters.length - 1; i >= 0; i--) {
+        if (emitterDistance(emitters[i], x, y) <= tolerance) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Move an emitter by an offset
+function translateEmitter(emitter, dx, dy) {
+    return { ...emitter, points: emitter.points.map(([x, y]) => [x + dx, y + dy]) };
+}
+
+// Scale an emitter with the canvas
+function scaleEmitter(emitter, scaleX, scaleY) {
+    return { ...emitter, points: emitter.points.map(([x, y]) => [x * scaleX, y * scaleY]) };
+}
+
+// Check emitters read from a file, throwing an error describing the first problem found
+function validateEmitters(emitters) {
+    if (!Array.isArray(emitters) || emitters.length > MAX_EMITTERS) {
+        throw new Error(`Emitters must be a list of at most ${MAX_EMITTERS} emitters`);
+    }
+
+    const isPoint = (point) => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite);
+    const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+    emitters.forEach((emitter, i) => {
+        if (typeof emitter !== 'object' || emitter === null || !EMITTER_TYPES[emitter.type]) {
+            throw new Error(`Emitter ${i} has an unknown type`);
+        }
+        const numPoints = emitter.type === 'point' ? 1 : 2;
+        if (!Array.isArray(emitter.points) || emitter.points.length !== numPoints || !emitter.points.every(isPoint)) {
+            throw new Error(`Emitter ${i} is not a valid ${emitter.type} emitter`);
+        }
+        if (!inRange(emitter.rate, 0, MAX_EMITTER_RATE) || !inRange(emitter.speed, 0, MAX_EMITTER_SPEED)
+            || !inRange(emitter.speedSpread, 0, 1) || !inRange(emitter.direction, -360, 360)
+            || !inRange(emitter.spread, 0, 360) || !inRange(emitter.lifetime, 0, MAX_EMITTER_LIFETIME)) {
+            throw new Error(`Emitter ${i} has invalid settings`);
+        }
+        if (!Number.isInteger(emitter.species) || emitter.species < 0) {
+            throw new Error(`Emitter ${i} has an invalid species`);
+        }
+        if (!Array.isArray(emitter.color) || emitter.color.length !== 3 || !emitter.color.every((c) => inRange(c, 0, 1))) {
+            throw new Error(`Emitter ${i} has an invalid colour`);
+        }
+    });
+    return emitters;
+}
+
+// Pack emitters into Emitter data, giving emitter i the next counts[i] spawn tickets
+// Emitters of species that no longer exist use the last species, painted circles carry their own radius and mass
+// Returns the total number of circles to spawn
+function packEmitters(emitters, counts, species, view) {
+    let first = 0;
+    emitters.forEach((emitter, i) => {
+        const [start, end = start] = emitter.points;
+        const emitterSpecies = Math.min(emitter.species, species.length - 1);
+        writeStruct(view, EMITTER_LAYOUT, i, {
+            start,
+            end,
+            color: emitter.color,
+            kind: EMITTER_TYPES[emitter.type].id,
+            direction: emitter.direction * Math.PI / 180,
+            spread: emitter.spread * Math.PI / 180,
+            speed: emitter.speed,
+            speed_spread: emitter.speedSpread,
+            lifetime: emitter.lifetime,
+            species: emitterSpecies,
+            radius: emitter.radius ?? species[emitterSpecies].radius,
+            mass: emitter.mass ?? species[emitterSpecies].mass,
+            first,
+            count: counts[i],
+        });
+        first += counts[i];
+    });
+    return first;
+}
+
+export {
+    MAX_EMITTERS,
+    MAX_EMITTER_RATE,
+    MAX_EMITTER_SPEED,
+    MAX_EMITTER_LIFETIME,
+    MIN_EMITTER_SIZE,
+    EMITTER_TYPES,
+    EMITTER_LAYOUT,
+    createEmitter,
+    findEmitter,
+    translateEmitter,
+    scaleEmitter,
+    validateEmitters,
+    packEmitters
+};
@@ -0,0 +1,131 @@
+struct Circle {
+    position: vec2<f32>,
+    velocity: vec2<f32>,
+    acceleration: vec2<f32>,
+    color: vec3<f32>,
+    alive: u32, // 0 once removed, e.g. by an absorbing boundary
+    species: u32,
+    radius: f32,
+    mass: f32,
+    grabbed: u32, // 1 + the pointer slot holding it with the drag tool, 0 when not held
+    age: f32, // Seconds since it was spawned
+    lifetime: f32, // Seconds it lives for, 0 for ever
+}
+
+// Emitter with its share of this frame's spawn tickets, see emitters.js
+struct Emitter {
+    start: vec2<f32>, // Point, line start or area corner
+    end: vec2<f32>, // Line end or opposite area corner
+    color: vec3<f32>,
+    kind: u32,
+    direction: f32, // Radians, counterclockwise from pointing right
+    spread: f32, // Radians, centred on the direction
+    speed: f32,
+    speed_spread: f32, // Fraction of the speed added or taken at random
+    lifetime: f32,
+    species: u32,
+    radius: f32,
+    mass: f32,
+    first: u32, // First spawn ticket of the emitter
+    count: u32, // Circles it spawns this frame
+}
+
+struct SpawnParams {
+    num_emitters: u32,
+    total: u32, // Circles all emitters spawn this frame
+    seed: u32, // Varies every frame
+}
+
+// Cleared before every spawn pass
+struct Counters {
+    alive: atomic<u32>, // Circles alive after spawning, read back by particles.js
+    spawned: atomic<u32>, // Spawn tickets handed out
+}
+
+@group(0) @binding(0) var<uniform> spawn_params: SpawnParams;
+@group(0) @binding(1) var<storage, read_write> circles: array<Circle>;
+@group(0) @binding(2) var<storage, read> emitters: array<Emitter>;
+@group(0) @binding(3) var<storage, read_write> counters: Counters;
+
+// Emitter types, ids must match EMITTER_TYPES in emitters.js
+const EMITTER_POINT: u32 = 0u;
+const EMITTER_LINE: u32 = 1u;
+const EMITTER_AREA: u32 = 2u;
+
+// PCG hash of a 32-bit value, as in cpu_simulation.js
+fn hash(value: u32) -> u32 {
+    let state = value * 747796405u + 2891336453u;
+    let word = ((state >> ((state >> 28u) + 4u)) ^ state) * 277803737u;
+    return (word >> 22u) ^ word;
+}
+
+// Advance a random state, returning a float in [0, 1)
+fn random(state: ptr<function, u32>) -> f32 {
+    *state = hash(*state);
+    return f32(*state >> 8u) / 16777216.0;
+}
+
+// Spawn the circle of a spawn ticket from the emitter the ticket belongs to
+fn emit(ticket: u32) -> Circle {
+    var emitter = emitters[0];
+    for (var i: u32 = 0u; i < spawn_params.num_emitters; i += 1u) {
+        if ticket >= emitters[i].first && ticket < emitters[i].first + emitters[i].count {
+            emitter = emitters[i];
+            break;
+        }
+    }
+
+    var state = hash(spawn_params.seed ^ hash(ticket));
+    let along = vec2<f32>(random(&state), random(&state));
+    var position = emitter.start;
+    switch emitter.kind {
+        case EMITTER_LINE: {
+            position = mix(emitter.start, emitter.end, along.x);
+        }
+        case EMITTER_AREA: {
+            position = mix(emitter.start, emitter.end, along);
+        }
+        case EMITTER_POINT, default: {}
+    }
+
+    // Screen y points down, so up is negative y
+    let angle = emitter.direction + (random(&state) - 0.5) * emitter.spread;
+    let speed = emitter.speed * (1.0 + (random(&state) * 2.0 - 1.0) * emitter.speed_spread);
+
+    var circle: Circle;
+    circle.position = position;
+    circle.velocity = vec2<f32>(cos(angle), -sin(angle)) * speed;
+    circle.acceleration = vec2<f32>(0.0, 0.0);
+    circle.color = emitter.color;
+    circle.alive = 1u;
+    circle.species = emitter.species;
+    circle.radius = emitter.radius;
+    circle.mass = emitter.mass;
+    circle.grabbed = 0u;
+    circle.age = 0.0;
+    circle.lifetime = emitter.lifetime;
+    return circle;
+}
+
+// Spawn the emitted circles into removed ones and count the circles alive
+@compute @workgroup_size(128)
+fn spawn_circles(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if index >= arrayLength(&circles) {
+        return;
+    }
+
+    // Removed circles take spawn tickets, the first ones are spawned
+    var alive = circles[index].alive != 0u;
+    if !alive && spawn_params.total > 0u {
+        let ticket = atomicAdd(&counters.spawned, 1u);
+        if ticket < spawn_params.total {
+            circles[index] = emit(ticket);
+            alive = true;
+        }
+    }
+
+    if alive {
+        atomicAdd(&counters.alive, 1u);
+    }
+}
@@ -0,0 +1,287 @@
+// Force modules the user stacks on top of the species interactions, gravity and mouse tools
+// A stacked force is a plain object so it can be saved in snapshots: { type, params: { name: value } }
+// Each module gives the same force as a WGSL snippet, assembled into movement.wgsl by generateForceWGSL,
+// and as a JS function used by cpu_simulation.js, so adding a force means adding one module here
+//
+// Pair modules act between every two circles the neighbour search visits, so with the spatial grid
+// they reach no further than the neighbour cutoff. Their snippets see `distance` (between the centres),
+// `contact` (sum of the radii), `circle` and `other_circle`, and return the force along the line between
+// them, positive pushing them apart. The force is divided by the mass of the circle it acts on.
+// Field modules act on every circle on its own. Their snippets see `circle` and `uniforms.resolution`,
+// and return the acceleration of the circle.
+// Parameters are packed into one vec4<f32> per stacked force in the order they are listed, so at most four.
+import { defineStruct, writeStruct } from './layout.js';
+
+const MAX_FORCES = 8; // Stacked forces, must match the size of force_params in movement.wgsl
+
+// Struct layout of one entry of force_params in movement.wgsl
+const FORCE_PARAMS_LAYOUT = defineStruct('ForceParams', [
+    ['values', 'vec4<f32>'],
+]);
+const FORCE_PARAMS_SIZE = MAX_FORCES * FORCE_PARAMS_LAYOUT.size;
+
+// Position parameters of field modules, as fractions of the canvas size
+const centerParams = () => ({
+    center_x: { label: 'Centre x (fraction)', value: 0.5, min: 0, max: 1, step: 0.05 },
+    center_y: { label: 'Centre y (fraction)', value: 0.5, min: 0, max: 1, step: 0.05 },
+});
+
+const FORCE_MODULES = {
+    'lennard-jones': {
+        label: 'Lennard-Jones',
+        kind: 'pair',
+        params: {
+            epsilon: { label: 'Strength', value: 5, min: 0, max: 100, step: 0.5 },
+            sigma: { label: 'Distance (px)', value: 15, min: 2, max: 120, step: 1 },
+        },
+        // Repulsive up close, attractive further out, with the 12-6 exponents
+        wgsl: `
+            let ratio = sigma / max(distance, 1e-3);
+            let ratio6 = ratio * ratio * ratio * ratio * ratio * ratio;
+            return 4.0 * epsilon * (ratio6 * ratio6 - ratio6);`,
+        cpu: (p, distance) => {
+            const ratio = p.sigma / Math.max(distance, 1e-3);
+            const ratio6 = ratio * ratio * ratio * ratio * ratio * ratio;
+            return 4.0 * p.epsilon * (ratio6 * ratio6 - ratio6);
+        },
+    },
+    'coulomb': {
+        label: 'Coulomb',
+        kind: 'pair',
+        params: {
+            strength: { label: 'Strength (positive repels)', value: 20000, min: -200000, max: 200000, step: 1000 },
+            softening: { label: 'Softening (px)', value: 5, min: 1, max: 50, step: 1 },
+        },
+        // Inverse square, softened so close circles do not shoot apart
+        wgsl: `
+            return strength / (distance * distance + softening * softening);`,
+        cpu: (p, distance) => p.strength / (distance * distance + p.softening * p.softening),
+    },
+    'spring': {
+        label: 'Spring',
+        kind: 'pair',
+        params: {
+            stiffness: { label: 'Stiffness (1/s²)', value: 50, min: 0, max: 1000, step: 5 },
+            rest_length: { label: 'Rest length (px)', value: 20, min: 0, max: 120, step: 1 },
+            range: { label: 'Range (px)', value: 30, min: 0, max: 120, step: 1 },
+        },
+        // Pulls circles within range towards the rest length
+        wgsl: `
+            if distance > range {
+                return 0.0;
+            }
+            return stiffness * (rest_length - distance);`,
+        cpu: (p, distance) => distance > p.range ? 0.0 : p.stiffness * (p.rest_length - distance),
+    },
+    'gravity': {
+        label: 'Uniform gravity',
+        kind: 'field',
+        params: {
+            strength: { label: 'Strength (px/s²)', value: 500, min: 0, max: 30000, step: 10 },
+            angle: { label: 'Direction (°)', value: -90, min: -180, max: 180, step: 5 },
+        },
+        // Angles count counterclockwise from pointing right, screen y points down
+        wgsl: `
+            let direction = radians(angle);
+            return strength * vec2<f32>(cos(direction), -sin(direction));`,
+        cpu: (p) => {
+            const direction = p.angle * Math.PI / 180;
+            return [p.strength * Math.cos(direction), -p.strength * Math.sin(direction)];
+        },
+    },
+    'attractor': {
+        label: 'Point attractor',
+        kind: 'field',
+        params: {
+            ...centerParams(),
+            strength: { label: 'Strength (px/s², negative repels)', value: 3000, min: -20000, max: 20000, step: 100 },
+            radius: { label: 'Radius (px)', value: 200, min: 1, max: 2000, step: 10 },
+        },
+        // Full strength within about the radius, falling off with the square of the distance beyond
+        wgsl: `
+            let offset = vec2<f32>(center_x, center_y) * uniforms.resolution - circle.position;
+            let distance = length(offset);
+            if distance < 1e-5 {
+                return vec2<f32>(0.0, 0.0);
+            }
+            let falloff = 1.0 / (1.0 + (distance / radius) * (distance / radius));
+            return offset / distance * strength * falloff;`,
+        cpu: (p, x, y, vx, vy, width, height) => {
+            const offsetX = p.center_x * width - x;
+            const offsetY = p.center_y * height - y;
+            const distance = Math.hypot(offsetX, offsetY);
+            if (distance < 1e-5) {
+                return [0.0, 0.0];
+            }
+            const scale = p.strength / (1.0 + (distance / p.radius) * (distance / p.radius)) / distance;
+            return [offsetX * scale, offsetY * scale];
+        },
+    },
+    'vortex': {
+        label: 'Vortex',
+        kind: 'field',
+        params: {
+            ...centerParams(),
+            strength: { label: 'Strength (px/s², positive turns anticlockwise)', value: 2000, min: -20000, max: 20000, step: 100 },
+            radius: { label: 'Radius (px)', value: 200, min: 1, max: 2000, step: 10 },
+        },
+        // Pushes circles around the centre, falling off like the attractor
+        wgsl: `
+            let offset = circle.position - vec2<f32>(center_x, center_y) * uniforms.resolution;
+            let distance = length(offset);
+            if distance < 1e-5 {
+                return vec2<f32>(0.0, 0.0);
+            }
+            let falloff = 1.0 / (1.0 + (distance / radius) * (distance / radius));
+            return vec2<f32>(offset.y, -offset.x) / distance * strength * falloff;`,
+        cpu: (p, x, y, vx, vy, width, height) => {
+            const offsetX = x - p.center_x * width;
+            const offsetY = y - p.center_y * height;
+            const distance = Math.hypot(offsetX, offsetY);
+            if (distance < 1e-5) {
+                return [0.0, 0.0];
+            }
+            const scale = p.strength / (1.0 + (distance / p.radius) * (distance / p.radius)) / distance;
+            return [offsetY * scale, -offsetX * scale];
+        },
+    },
+    'drag': {
+        label: 'Linear drag',
+        kind: 'field',
+        params: {
+            coefficient: { label: 'Coefficient (1/s)', value: 0.5, min: 0, max: 10, step: 0.1 },
+        },
+        // Slows circles in proportion to their speed
+        wgsl: `
+            return -coefficient * circle.velocity;`,
+        cpu: (p, x, y, vx, vy) => [-p.coefficient * vx, -p.coefficient * vy],
+    },
+    'turbulence': {
+        label: 'Turbulence',
+        kind: 'field',
+        params: {
+            strength: { label: 'Strength (px/s²)', value: 800, min: 0, max: 10000, step: 50 },
+            scale: { label: 'Eddy size (px)', value: 150, min: 10, max: 1000, step: 10 },
+        },
+        // Curl of a fixed stream function made of sine waves, so the flow swirls without sinks
+        // psi = sin(u + 1.7) * cos(1.3 * v) + 0.5 * sin(2.3 * u - 1.1 * v + 0.4) with (u, v) the position over the scale
+        wgsl: `
+            let uv = circle.position / scale;
+            let wave = cos(2.3 * uv.x - 1.1 * uv.y + 0.4);
+            let dpsi_du = cos(uv.x + 1.7) * cos(1.3 * uv.y) + 1.15 * wave;
+            let dpsi_dv = -1.3 * sin(uv.x + 1.7) * sin(1.3 * uv.y) - 0.55 * wave;
+            return strength * vec2<f32>(dpsi_dv, -dpsi_du);`,
+        cpu: (p, x, y) => {
+            const u = x / p.scale;
+            const v = y / p.scale;
+            const wave = Math.cos(2.3 * u - 1.1 * v + 0.4);
+            const dpsiDu = Math.cos(u + 1.7) * Math.cos(1.3 * v) + 1.15 * wave;
+            const dpsiDv = -1.3 * Math.sin(u + 1.7) * Math.sin(1.3 * v) - 0.55 * wave;
+            return [p.strength * dpsiDv, -p.strength * dpsiDu];
+        },
+    },
+};
+
+// Create a stacked force of a module with its default parameters
+function createForce(type) {
+    const params = {};
+    for (const [name, param] of Object.entries(FORCE_MODULES[type].params)) {
+        params[name] = param.value;
+    }
+    return { type, params };
+}
+
+// Check stacked forces read from a file, throwing an error describing the first problem found
+function validateForces(forces) {
+    if (!Array.isArray(forces) || forces.length > MAX_FORCES) {
+        throw new Error(`Forces must be a list of at most ${MAX_FORCES} forces`);
+    }
+
+    forces.forEach((force, i) => {
+        const module = FORCE_MODULES[force?.type];
+        if (!module) {
+            throw new Error(`Force ${i + 1} has an unknown type`);
+        }
+        for (const [name, param] of Object.entries(module.params)) {
+            const value = force.params?.[name];
+            if (typeof value !== 'number' || !(value >= param.min && value <= param.max)) {
+                throw new Error(`Force ${i + 1} has an invalid ${param.label.toLowerCase()}: ${value}`);
+            }
+        }
+    });
+    return forces;
+}
+
+// Generate the WGSL of the stacked forces, appended to movement.wgsl
+// Defines pair_forces and field_forces, calling one function per stacked force with its parameters
+function generateForceWGSL(forces) {
+    const components = ['x', 'y', 'z', 'w'];
+    const functions = [];
+    const pairCalls = [];
+    const fieldCalls = [];
+
+    forces.forEach((force, i) => {
+        const module = FORCE_MODULES[force.type];
+        const lets = Object.keys(module.params).map((name, c) => `\n    let ${name} = force.${components[c]};`).join('');
+        const body = module.wgsl.replace(/\n {12}/g, '\n    ');
+        if (module.kind === 'pair') {
+            functions.push(`// ${module.label}\nfn force_${i}(circle: Circle, other_circle: Circle, distance: f32, contact: f32, force: vec4<f32>) -> f32 {${lets}${body}\n}`);
+            pairCalls.push(`\n    pair_force += force_${i}(circle, other_circle, distance, contact, force_params[${i}]);`);
+        } else {
+            functions.push(`// ${module.label}\nfn force_${i}(circle: Circle, force: vec4<f32>) -> vec2<f32> {${lets}${body}\n}`);
+            fieldCalls.push(`\n    acceleration += force_${i}(circle, force_params[${i}]);`);
+        }
+    });
+
+    return `
+// Generated from the stacked forces by forces.js
+${functions.join('\n\n')}
+
+// Force between two circles from the stacked pair forces, positive pushing them apart
+fn pair_forces(circle: Circle, other_circle: Circle, distance: f32, contact: f32) -> f32 {
+    var pair_force = 0.0;${pairCalls.join('')}
+    return pair_force;
+}
+
+// Acceleration of a circle from the stacked field forces
+fn field_forces(circle: Circle) -> vec2<f32> {
+    // Keeps force_params in the bind group while no force uses it
+    _ = force_params[0];
+    var acceleration = vec2<f32>(0.0, 0.0);${fieldCalls.join('')}
+    return acceleration;
+}
+`;
+}
+
+// Pack the parameters of the stacked forces into force_params data
+function packForceParams(forces, view) {
+    forces.forEach((force, i) => {
+        const values = [0, 0, 0, 0];
+        Object.keys(FORCE_MODULES[force.type].params).forEach((name, c) => {
+            values[c] = force.params[name];
+        });
+        writeStruct(view, FORCE_PARAMS_LAYOUT, i, { values });
+    });
+}
+
+// Split the stacked forces into the JS functions of their modules for the CPU simulation
+function forceFunctions(forces) {
+    const pair = [];
+    const field = [];
+    for (const force of forces) {
+        const module = FORCE_MODULES[force.type];
+        (module.kind === 'pair' ? pair : field).push({ cpu: module.cpu, params: force.params });
+    }
+    return { pair, field };
+}
+
+export {
+    MAX_FORCES,
+    FORCE_PARAMS_SIZE,
+    FORCE_MODULES,
+    createForce,
+    validateForces,
+    generateForceWGSL,
+    packForceParams,
+    forceFunctions
+};
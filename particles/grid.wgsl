@@ -0,0 +1,109 @@
+struct Circle {
+    position: vec2<f32>,
+    velocity: vec2<f32>,
+    acceleration: vec2<f32>,
+    color: vec3<f32>,
+    alive: u32, // 0 once removed, e.g. by an absorbing boundary
+    species: u32,
+    radius: f32,
+    mass: f32,
+    grabbed: u32, // 1 + the pointer slot holding it with the drag tool, 0 when not held
+    age: f32, // Seconds since it was spawned
+    lifetime: f32, // Seconds it lives for, 0 for ever
+}
+
+struct GridParams {
+    cell_size: vec2<f32>,
+    grid_size: vec2<u32>,
+    cutoff: f32,
+    num_cells: u32,
+}
+
+@group(0) @binding(0) var<uniform> grid: GridParams;
+@group(0) @binding(1) var<storage, read> circles: array<Circle>;
+@group(0) @binding(2) var<storage, read_write> cell_counts: array<atomic<u32>>;
+@group(0) @binding(3) var<storage, read_write> cell_offsets: array<u32>;
+@group(0) @binding(4) var<storage, read_write> particle_cells: array<u32>;
+@group(0) @binding(5) var<storage, read_write> particle_ranks: array<u32>;
+@group(0) @binding(6) var<storage, read_write> sorted_indices: array<u32>;
+
+const SCAN_WORKGROUP_SIZE: u32 = 256u;
+
+var<workgroup> scan_sums: array<u32, SCAN_WORKGROUP_SIZE>;
+
+// Get the grid cell index containing a position, clamped to the grid
+fn cell_index(position: vec2<f32>) -> u32 {
+    let cell = vec2<i32>(floor(position / grid.cell_size));
+    let clamped = clamp(cell, vec2<i32>(0), vec2<i32>(grid.grid_size) - 1);
+    return u32(clamped.y) * grid.grid_size.x + u32(clamped.x);
+}
+
+// Pass 1: reset the particle count of every cell
+@compute @workgroup_size(128)
+fn clear_cells(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if index >= grid.num_cells {
+        return;
+    }
+
+    atomicStore(&cell_counts[index], 0u);
+}
+
+// Pass 2: assign each particle to a cell and take a slot within that cell
+@compute @workgroup_size(128)
+fn count_cells(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if index >= arrayLength(&circles) {
+        return;
+    }
+
+    let cell = cell_index(circles[index].position);
+    particle_cells[index] = cell;
+    particle_ranks[index] = atomicAdd(&cell_counts[cell], 1u);
+}
+
+// Pass 3: exclusive prefix sum of the cell counts into cell offsets
+// Runs as a single workgroup, each invocation scanning a contiguous chunk of cells
+@compute @workgroup_size(SCAN_WORKGROUP_SIZE)
+fn prefix_sum(@builtin(local_invocation_index) local_index: u32) {
+    let chunk_size = (grid.num_cells + SCAN_WORKGROUP_SIZE - 1u) / SCAN_WORKGROUP_SIZE;
+    let chunk_start = local_index * chunk_size;
+    let chunk_end = min(chunk_start + chunk_size, grid.num_cells);
+
+    // Sum of this invocation's chunk
+    var chunk_sum = 0u;
+    for (var i = chunk_start; i < chunk_end; i += 1u) {
+        chunk_sum += atomicLoad(&cell_counts[i]);
+    }
+    scan_sums[local_index] = chunk_sum;
+    workgroupBarrier();
+
+    // Inclusive scan of the chunk sums across the workgroup
+    for (var stride = 1u; stride < SCAN_WORKGROUP_SIZE; stride *= 2u) {
+        var value = 0u;
+        if local_index >= stride {
+            value = scan_sums[local_index - stride];
+        }
+        workgroupBarrier();
+        scan_sums[local_index] += value;
+        workgroupBarrier();
+    }
+
+    // Write exclusive offsets for this chunk
+    var offset = scan_sums[local_index] - chunk_sum;
+    for (var i = chunk_start; i < chunk_end; i += 1u) {
+        cell_offsets[i] = offset;
+        offset += atomicLoad(&cell_counts[i]);
+    }
+}
+
+// Pass 4: write each particle index into its slot of the cell-sorted index buffer
+@compute @workgroup_size(128)
+fn scatter(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if index >= arrayLength(&circles) {
+        return;
+    }
+
+    sorted_indices[cell_offsets[particle_cells[index]] + particle_ranks[index]] = index;
+}
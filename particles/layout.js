@@ -0,0 +1,127 @@
+// WGSL struct layouts for packing uniform and storage buffer data
+
+// Alignment and size in bytes of the supported WGSL types
+const WGSL_TYPES = {
+    'f32': { align: 4, size: 4, components: 1, scalar: 'f32' },
+    'u32': { align: 4, size: 4, components: 1, scalar: 'u32' },
+    'i32': { align: 4, size: 4, components: 1, scalar: 'i32' },
+    'vec2<f32>': { align: 8, size: 8, components: 2, scalar: 'f32' },
+    'vec2<u32>': { align: 8, size: 8, components: 2, scalar: 'u32' },
+    'vec2<i32>': { align: 8, size: 8, components: 2, scalar: 'i32' },
+    'vec3<f32>': { align: 16, size: 12, components: 3, scalar: 'f32' },
+    'vec3<u32>': { align: 16, size: 12, components: 3, scalar: 'u32' },
+    'vec3<i32>': { align: 16, size: 12, components: 3, scalar: 'i32' },
+    'vec4<f32>': { align: 16, size: 16, components: 4, scalar: 'f32' },
+    'vec4<u32>': { align: 16, size: 16, components: 4, scalar: 'u32' },
+    'vec4<i32>': { align: 16, size: 16, components: 4, scalar: 'i32' },
+};
+
+// Round a byte offset up to the given alignment
+function roundUp(value, alignment) {
+    return Math.ceil(value / alignment) * alignment;
+}
+
+// Describe a WGSL struct once and compute its field offsets, alignment and size
+// Fields are given in declaration order as [name, type] pairs
+function defineStruct(name, fields) {
+    const layout = {
+        name,
+        fields: {}, // Field name => { type, offset }
+        align: 1, // Alignment of the struct (largest field alignment)
+        size: 0, // Size of the struct including trailing padding, also its array stride
+    };
+
+    let offset = 0;
+    for (const [fieldName, typeName] of fields) {
+        const type = WGSL_TYPES[typeName];
+        if (!type) {
+            throw new Error(`Unsupported type '${typeName}' for field '${name}.${fieldName}'`);
+        }
+
+        offset = roundUp(offset, type.align);
+        layout.fields[fieldName] = { type, offset };
+        offset += type.size;
+        layout.align = Math.max(layout.align, type.align);
+    }
+
+    layout.size = roundUp(offset, layout.align);
+    return layout;
+}
+
+// Create a reusable ArrayBuffer and DataView holding `count` consecutive structs
+// A SharedArrayBuffer is used instead when `shared` is set, e.g. to share with a worker
+function createStructData(layout, count = 1, shared = false) {
+    const buffer = shared ? new SharedArrayBuffer(layout.size * count) : new ArrayBuffer(layout.size * count);
+    return { buffer, view: new DataView(buffer) };
+}
+
+// Write a single scalar component at a byte offset
+function writeScalar(view, scalar, byteOffset, value) {
+    if (scalar === 'u32') {
+        view.setUint32(byteOffset, value, true);
+    } else if (scalar === 'i32') {
+        view.setInt32(byteOffset, value, true);
+    } else {
+        view.setFloat32(byteOffset, value, true);
+    }
+}
+
+// Read a single scalar component at a byte offset
+function readScalar(view, scalar, byteOffset) {
+    if (scalar === 'u32') {
+        return view.getUint32(byteOffset, true);
+    } else if (scalar === 'i32') {
+        return view.getInt32(byteOffset, true);
+    }
+    return view.getFloat32(byteOffset, true);
+}
+
+// Write one field of the struct at `index`; vectors take an array of components
+function writeField(view, layout, index, fieldName, value) {
+    const field = layout.fields[fieldName];
+    if (!field) {
+        throw new Error(`Unknown field '${layout.name}.${fieldName}'`);
+    }
+
+    const byteOffset = index * layout.size + field.offset;
+    if (field.type.components === 1) {
+        writeScalar(view, field.type.scalar, byteOffset, value);
+        return;
+    }
+    for (let i = 0; i < field.type.components; i++) {
+        writeScalar(view, field.type.scalar, byteOffset + i * 4, value[i]);
+    }
+}
+
+// Write the given fields of the struct at `index`; fields left out are untouched
+function writeStruct(view, layout, index, values) {
+    for (const fieldName in values) {
+        writeField(view, layout, index, fieldName, values[fieldName]);
+    }
+}
+
+// Read all fields of the struct at `index` into a plain object
+function readStruct(view, layout, index) {
+    const values = {};
+    for (const fieldName in layout.fields) {
+        const field = layout.fields[fieldName];
+        const byteOffset = index * layout.size + field.offset;
+        if (field.type.components === 1) {
+            values[fieldName] = readScalar(view, field.type.scalar, byteOffset);
+            continue;
+        }
+        values[fieldName] = [];
+        for (let i = 0; i < field.type.components; i++) {
+            values[fieldName].push(readScalar(view, field.type.scalar, byteOffset + i * 4));
+        }
+    }
+    return values;
+}
+
+export {
+    defineStruct,
+    createStructData,
+    writeField,
+    writeStruct,
+    readStruct
+};
@@ -1,129 +1,593 @@
+// A mouse button, pen or finger pressed on the canvas
+struct Pointer {
+    position: vec2<f32>,
+    drag_offset: vec2<f32>, // Pointer movement per step while dragging
+}
+
 struct Uniforms {
     resolution: vec2<f32>,
-    mouse_position: vec2<f32>,
-    is_mouse_down: u32,
     gravity_direction: f32,
-    padding: vec2<f32>,
+    integrator: u32,
+    boundary_mode: u32,
+    num_obstacles: u32,
+    mouse_tool: u32,
+    active_pointers: u32, // Bit per pointer slot in use
+    grab_pointers: u32, // Bit per pointer slot starting a drag, grabbing the circles within the mouse radius
+    collision_mode: u32,
+    thermostat: u32,
+    @align(16) pointers: array<Pointer, 8>, // Uniform arrays must start at a multiple of 16 bytes
 }
 
 struct Circle {
     position: vec2<f32>,
     velocity: vec2<f32>,
     acceleration: vec2<f32>,
-    padding1: vec2<f32>,
     color: vec3<f32>,
-    padding2: f32,
+    alive: u32, // 0 once removed, e.g. by an absorbing boundary
+    species: u32,
+    radius: f32,
+    mass: f32,
+    grabbed: u32, // 1 + the pointer slot holding it with the drag tool, 0 when not held
+    age: f32, // Seconds since it was spawned
+    lifetime: f32, // Seconds it lives for, 0 for ever
+}
+
+// Physics parameters, adjustable while the simulation runs
+struct PhysicsParams {
+    inter_epsilon: f32,
+    inter_sigma: f32,
+    max_accel: f32,
+    max_speed: f32,
+    damping: f32,
+    mouse_radius: f32,
+    mouse_strength: f32,
+    gravity: f32,
+    restitution: f32,
+    collision_restitution: f32,
+    target_temperature: f32, // Mean kinetic energy per circle the thermostat holds
+    thermostat_time: f32, // Seconds the thermostat takes to correct the temperature
+}
+
+// Species of circles and the interactions between them, see species.js
+struct Species {
+    color: vec3<f32>,
+}
+
+struct Interaction {
+    kind: u32,
+    strength: f32,
+}
+
+// interactions[a * MAX_SPECIES + b] is how species b acts on species a
+struct SpeciesTable {
+    species: array<Species, MAX_SPECIES>,
+    interactions: array<Interaction, MAX_SPECIES * MAX_SPECIES>,
+}
+
+// Obstacle capsule: the points within radius of the segment from start to end
+struct Obstacle {
+    start: vec2<f32>,
+    end: vec2<f32>,
+    radius: f32,
+}
+
+// Position correction and velocity change of a circle from its collisions
+struct Collision {
+    position: vec2<f32>,
+    velocity: vec2<f32>,
+}
+
+struct GridParams {
+    cell_size: vec2<f32>,
+    grid_size: vec2<u32>,
+    cutoff: f32,
+    num_cells: u32,
 }
 
 @group(0) @binding(0) var<uniform> uniforms: Uniforms;
-@group(0) @binding(1) var<storage, read_write> circles: array<Circle>;
+@group(0) @binding(1) var<storage, read> circles: array<Circle>;
 @group(0) @binding(2) var<uniform> delta_time: f32;
+// Output of this step; storage buffers cannot be write-only, but it is never read
+@group(0) @binding(3) var<storage, read_write> circles_out: array<Circle>;
+@group(0) @binding(8) var<uniform> params: PhysicsParams;
+// Obstacles drawn by the user, only the first num_obstacles are in use
+@group(0) @binding(9) var<storage, read> obstacles: array<Obstacle>;
+@group(0) @binding(10) var<storage, read> species_table: SpeciesTable;
+// Parameters of the stacked forces, read by the functions particles.js appends from forces.js
+@group(0) @binding(11) var<uniform> force_params: array<vec4<f32>, 8>;
+// Potential energy of each circle in this step, summed up by stats.wgsl
+@group(0) @binding(12) var<storage, read_write> potentials: array<f32>;
+
+// Spatial grid built by grid.wgsl, only used by main_grid
+@group(0) @binding(4) var<uniform> grid: GridParams;
+@group(0) @binding(5) var<storage, read> cell_offsets: array<u32>;
+@group(0) @binding(6) var<storage, read> cell_counts: array<u32>;
+@group(0) @binding(7) var<storage, read> sorted_indices: array<u32>;
+
+const CIRCLE_RADIUS: f32 = 5.0; // Default radius, each circle has its own
+const MAX_SPECIES: u32 = 8u;
+const MAX_POINTERS: u32 = 8u;
+const NEIGHBOUR_CUTOFF_SIGMAS: f32 = 3.0; // Range of attractive and repulsive interactions, as in particles.js
+const CONTACT_STIFFNESS: f32 = 10.0; // Repulsion of overlapping circles in multiples of inter_epsilon
+
+// Interaction kinds, see INTERACTION_KINDS in species.js
+const INTERACTION_LENNARD_JONES: u32 = 0u;
+const INTERACTION_ATTRACTIVE: u32 = 1u;
+const INTERACTION_REPULSIVE: u32 = 2u;
+
+// Integration schemes, see INTEGRATORS in particles.js
+const INTEGRATOR_EXPLICIT_EULER: u32 = 0u;
+const INTEGRATOR_SEMI_IMPLICIT_EULER: u32 = 1u;
+const INTEGRATOR_VELOCITY_VERLET: u32 = 2u;
+
+// Mouse tools, see MOUSE_TOOLS in particles.js
+const MOUSE_TOOL_REPEL: u32 = 0u;
+const MOUSE_TOOL_ATTRACT: u32 = 1u;
+const MOUSE_TOOL_DRAG: u32 = 2u;
+const MOUSE_TOOL_PAINT: u32 = 3u;
+const MOUSE_TOOL_ERASE: u32 = 4u;
+
+// Boundary modes, see BOUNDARY_MODES in particles.js
+const BOUNDARY_REFLECTIVE: u32 = 0u;
+const BOUNDARY_PERIODIC: u32 = 1u;
+const BOUNDARY_ABSORBING: u32 = 2u;
+const BOUNDARY_OPEN: u32 = 3u;
+
+// Collision modes, see COLLISION_MODES in particles.js
+const COLLISION_OFF: u32 = 0u;
+const COLLISION_WITH_FORCES: u32 = 1u;
+const COLLISION_ONLY: u32 = 2u;
+
+// Thermostats, see THERMOSTATS in particles.js
+// Velocity rescaling and Berendsen are applied by thermostat.wgsl before each step
+const THERMOSTAT_LANGEVIN: u32 = 3u;
+
+// Offset from one position to another, through the nearest periodic image when wrapping around
+fn separation(origin: vec2<f32>, destination: vec2<f32>) -> vec2<f32> {
+    var offset = destination - origin;
+    if uniforms.boundary_mode == BOUNDARY_PERIODIC {
+        offset -= round(offset / uniforms.resolution) * uniforms.resolution;
+    }
+    return offset;
+}
+
+// Calculate the intermolecular acceleration on a circle from another circle
+// depending on how the species of the other circle acts on its species, plus the stacked pair forces
+fn inter_acceleration(circle: Circle, other_circle: Circle) -> vec2<f32> {
+    let offset = separation(circle.position, other_circle.position);
+    let direction = normalize(offset);
+    let distance = length(offset);
+
+    let interaction = species_table.interactions[circle.species * MAX_SPECIES + other_circle.species];
+    let contact = circle.radius + other_circle.radius;
+
+    // Positive forces push the circles apart
+    var inter_force = 0.0;
+    switch interaction.kind {
+        case INTERACTION_ATTRACTIVE, INTERACTION_REPULSIVE: {
+            let range = params.inter_sigma * NEIGHBOUR_CUTOFF_SIGMAS;
+            if distance < contact {
+                // Overlapping circles always repel
+                inter_force = CONTACT_STIFFNESS * params.inter_epsilon * (1.0 - distance / contact);
+            } else if distance < range {
+                // Triangular profile peaking halfway between contact and range
+                let peak = 1.0 - abs(2.0 * distance - contact - range) / (range - contact);
+                let sign = select(-1.0, 1.0, interaction.kind == INTERACTION_REPULSIVE);
+                inter_force = sign * interaction.strength * params.inter_epsilon * peak;
+            }
+        }
+        case INTERACTION_LENNARD_JONES, default: {
+            // Overlapping circles do not interact
+            if distance > contact {
+                // inter_sigma is for two circles of CIRCLE_RADIUS, other sizes scale it
+                let sigma = params.inter_sigma * contact / (2.0 * CIRCLE_RADIUS);
+                let inter_term = sigma / distance;
+                let weak_force = inter_term * inter_term * inter_term;
+                let strong_force = weak_force * weak_force;
+
+                inter_force = 4 * params.inter_epsilon * interaction.strength * (strong_force - weak_force);
+            }
+        }
+    }
+    inter_force += pair_forces(circle, other_circle, distance, contact);
+
+    // Heavier circles accelerate less
+    return -direction * inter_force / circle.mass;
+}
+
+// Collide a circle with another overlapping circle as hard spheres
+// Each circle of the pair moves out of the overlap and takes the impulse in proportion to the mass
+// of the other, both computed from the previous state so the pair conserves momentum
+fn collide_circle(circle: Circle, other_circle: Circle) -> Collision {
+    var collision = Collision(vec2<f32>(0.0, 0.0), vec2<f32>(0.0, 0.0));
+    let offset = separation(circle.position, other_circle.position);
+    let distance = length(offset);
+    let contact = circle.radius + other_circle.radius;
+    if distance >= contact || distance < 1e-5 {
+        return collision;
+    }
+
+    let normal = offset / distance;
+    let share = other_circle.mass / (circle.mass + other_circle.mass);
+    collision.position = -normal * (contact - distance) * share;
+
+    // Only circles moving towards each other bounce
+    let normal_speed = dot(other_circle.velocity - circle.velocity, normal);
+    if normal_speed < 0.0 {
+        collision.velocity = (1.0 + params.collision_restitution) * share * normal_speed * normal;
+    }
+    return collision;
+}
+
+// Potential energy of a circle from another circle, the integral of the Lennard-Jones force of inter_acceleration
+// Only that interaction kind has a potential, the others count as zero
+fn inter_potential(circle: Circle, other_circle: Circle) -> f32 {
+    let interaction = species_table.interactions[circle.species * MAX_SPECIES + other_circle.species];
+    let distance = length(separation(circle.position, other_circle.position));
+    let contact = circle.radius + other_circle.radius;
+    if interaction.kind == INTERACTION_ATTRACTIVE || interaction.kind == INTERACTION_REPULSIVE || distance <= contact {
+        return 0.0;
+    }
+
+    let sigma = params.inter_sigma * contact / (2.0 * CIRCLE_RADIUS);
+    let inter_term = sigma / distance;
+    let term_sq = inter_term * inter_term;
+    let term_5 = term_sq * term_sq * inter_term;
+    return 4 * params.inter_epsilon * interaction.strength * sigma * (term_5 / 5.0 - term_sq / 2.0);
+}
+
+// Clamp velocity and dampen it depending on its current speed
+fn limit_velocity(velocity: vec2<f32>) -> vec2<f32> {
+    var limited = velocity;
+
+    // Clamp velocity to prevent physics breaking
+    if length(limited) > params.max_speed {
+        limited = normalize(limited) * params.max_speed;
+    }
+
+    return limited * params.damping;
+}
+
+// Push a circle out of the obstacles it overlaps and bounce it off their surface
+fn collide_obstacles(circle_in: Circle) -> Circle {
+    var circle = circle_in;
+
+    for (var i: u32 = 0u; i < uniforms.num_obstacles; i += 1u) {
+        let obstacle = obstacles[i];
+
+        // Closest point on the obstacle segment
+        let segment = obstacle.end - obstacle.start;
+        let t = clamp(dot(circle.position - obstacle.start, segment) / max(dot(segment, segment), 1e-5), 0.0, 1.0);
+        let offset = circle.position - (obstacle.start + t * segment);
+        let distance = length(offset);
+        let penetration = obstacle.radius + circle.radius - distance;
+        if penetration <= 0.0 {
+            continue;
+        }
+
+        // Normal pointing out of the obstacle, across the segment when exactly on it
+        var normal = vec2<f32>(0.0, -1.0);
+        if distance > 1e-5 {
+            normal = offset / distance;
+        } else if dot(segment, segment) > 1e-5 {
+            normal = normalize(vec2<f32>(-segment.y, segment.x));
+        }
+
+        circle.position += normal * penetration;
+        let normal_speed = dot(circle.velocity, normal);
+        if normal_speed < 0.0 {
+            circle.velocity -= (1.0 + params.restitution) * normal_speed * normal;
+        }
+    }
+
+    return circle;
+}
+
+// PCG hash of a 32-bit value, as in emitters.wgsl
+fn hash(value: u32) -> u32 {
+    let state = value * 747796405u + 2891336453u;
+    let word = ((state >> ((state >> 28u) + 4u)) ^ state) * 277803737u;
+    return (word >> 22u) ^ word;
+}
+
+// Advance a random state, returning a float in [0, 1)
+fn random(state: ptr<function, u32>) -> f32 {
+    *state = hash(*state);
+    return f32(*state >> 8u) / 16777216.0;
+}
+
+// Damp the velocity towards rest and add a Gaussian kick, so that on average the kinetic energy
+// of a circle settles at the target temperature (kT per circle in 2D, the Boltzmann constant being 1)
+// The noise is seeded by the position and age of the circle before this step, as in cpu_simulation.js
+fn langevin(velocity: vec2<f32>, circle_in: Circle) -> vec2<f32> {
+    var state = hash(bitcast<u32>(circle_in.position.x) ^ hash(bitcast<u32>(circle_in.position.y) ^ hash(bitcast<u32>(circle_in.age))));
+    let friction = exp(-delta_time / params.thermostat_time);
+    let spread = sqrt((1.0 - friction * friction) * params.target_temperature / circle_in.mass);
+
+    // Box-Muller transform of two uniform numbers into two independent normal ones
+    let magnitude = sqrt(-2.0 * log(1.0 - random(&state)));
+    let angle = 6.2831853 * random(&state);
+    return velocity * friction + spread * magnitude * vec2<f32>(cos(angle), sin(angle));
+}
+
+// Apply external forces, integrate and bounce off obstacles and the walls
+// previous_acceleration is the acceleration of the last step, used by velocity Verlet
+fn integrate(circle_in: Circle, previous_acceleration: vec2<f32>) -> Circle {
+    var circle = circle_in;
+
+    // Apply the mouse tool of each pointer to the circles within the mouse radius
+    for (var slot: u32 = 0u; slot < MAX_POINTERS; slot += 1u) {
+        let pointer_bit = 1u << slot;
+        if (uniforms.active_pointers & pointer_bit) == 0u {
+            continue;
+        }
+
+        let pointer_offset = uniforms.pointers[slot].position - circle.position;
+        let pointer_distance = length(pointer_offset);
+        if pointer_distance > params.mouse_radius {
+            continue;
+        }
+
+        switch uniforms.mouse_tool {
+            case MOUSE_TOOL_REPEL, MOUSE_TOOL_ATTRACT: {
+                // Strongest at the pointer, fading to zero at the radius
+                if pointer_distance > 0.0 {
+                    let falloff = 1.0 - pointer_distance / params.mouse_radius;
+                    let sign = select(-1.0, 1.0, uniforms.mouse_tool == MOUSE_TOOL_ATTRACT);
+                    circle.acceleration += sign * pointer_offset / pointer_distance * params.mouse_strength * falloff;
+                }
+            }
+            case MOUSE_TOOL_ERASE: {
+                circle.alive = 0u;
+            }
+            case MOUSE_TOOL_DRAG: {
+                // Grabbed by the first pointer starting a drag over it
+                if circle.grabbed == 0u && (uniforms.grab_pointers & pointer_bit) != 0u {
+                    circle.grabbed = slot + 1u;
+                }
+            }
+            default: {
+                // Painting adds circles from particles.js
+            }
+        }
+    }
+
+    // Let go of circles when their pointer is lifted
+    if circle.grabbed != 0u && (uniforms.mouse_tool != MOUSE_TOOL_DRAG || (uniforms.active_pointers & (1u << (circle.grabbed - 1u))) == 0u) {
+        circle.grabbed = 0u;
+    }
+
+    // Apply gravity, a direction of -1 accelerates towards positive y
+    circle.acceleration += vec2<f32>(0.0, -params.gravity * uniforms.gravity_direction) * delta_time;
+
+    // Apply the stacked field forces
+    circle.acceleration += field_forces(circle);
+
+    // Clamp acceleration to prevent physics breaking
+    if length(circle.acceleration) > params.max_accel {
+        circle.acceleration = normalize(circle.acceleration) * params.max_accel;
+    }
+
+    if circle.grabbed != 0u {
+        // Held circles move with their pointer, keeping its velocity for when they are let go
+        let drag_offset = uniforms.pointers[circle.grabbed - 1u].drag_offset;
+        circle.position += drag_offset;
+        circle.velocity = limit_velocity(drag_offset / delta_time);
+        circle.acceleration = vec2<f32>(0.0, 0.0);
+    } else {
+        switch uniforms.integrator {
+            case INTEGRATOR_EXPLICIT_EULER: {
+                // Update position using the old velocity, then velocity using acceleration
+                circle.position += circle.velocity * delta_time;
+                circle.velocity = limit_velocity(circle.velocity + circle.acceleration * delta_time);
+            }
+            case INTEGRATOR_VELOCITY_VERLET: {
+                // Finish the velocity of this step with the average acceleration,
+                // then move using it and the new acceleration
+                circle.velocity = limit_velocity(circle.velocity + 0.5 * (previous_acceleration + circle.acceleration) * delta_time);
+                circle.position += circle.velocity * delta_time + 0.5 * circle.acceleration * delta_time * delta_time;
+            }
+            case INTEGRATOR_SEMI_IMPLICIT_EULER, default: {
+                // Update velocity first, then position using the new velocity
+                circle.velocity = limit_velocity(circle.velocity + circle.acceleration * delta_time);
+                circle.position += circle.velocity * delta_time;
+            }
+        }
+    }
+
+    // Langevin thermostat: friction and random kicks balancing at the target temperature
+    if circle.grabbed == 0u && uniforms.thermostat == THERMOSTAT_LANGEVIN {
+        circle.velocity = langevin(circle.velocity, circle_in);
+    }
+
+    circle = collide_obstacles(circle);
+
+    switch uniforms.boundary_mode {
+        case BOUNDARY_PERIODIC: {
+            // Wrap around to the opposite edge
+            circle.position -= floor(circle.position / uniforms.resolution) * uniforms.resolution;
+        }
+        case BOUNDARY_ABSORBING: {
+            // Remove circles whose centre left the canvas
+            if any(circle.position < vec2<f32>(0.0)) || any(circle.position > uniforms.resolution) {
+                circle.alive = 0u;
+            }
+        }
+        case BOUNDARY_OPEN: {
+            // Circles leave freely
+        }
+        case BOUNDARY_REFLECTIVE, default: {
+            // Check boundaries and bounce, losing speed according to the restitution
+            let radius = circle.radius;
+            // Left boundary
+            if circle.position.x - radius < 0.0 {
+                circle.position.x = radius;
+                circle.velocity.x = -circle.velocity.x * params.restitution;
+            }
+            // Right boundary
+            else if circle.position.x + radius > uniforms.resolution.x {
+                circle.position.x = uniforms.resolution.x - radius;
+                circle.velocity.x = -circle.velocity.x * params.restitution;
+            }
+
+            // Top boundary
+            if circle.position.y - radius < 0.0 {
+                circle.position.y = radius;
+                circle.velocity.y = -circle.velocity.y * params.restitution;
+            }
+            // Bottom boundary
+            else if circle.position.y + radius > uniforms.resolution.y {
+                circle.position.y = uniforms.resolution.y - radius;
+                circle.velocity.y = -circle.velocity.y * params.restitution;
+            }
+        }
+    }
+
+    // Remove circles whose lifetime ran out
+    circle.age += delta_time;
+    if circle.lifetime > 0.0 && circle.age >= circle.lifetime {
+        circle.alive = 0u;
+    }
 
-const CIRCLE_RADIUS: f32 = 5.0;
-const INTER_EPISILON: f32 = 100.0;
-const INTER_SIGMA: f32 = CIRCLE_RADIUS * 8;
-const MAX_ACCEL: f32 = 10000.0;
-const MAX_SPEED: f32 = 1000.0;
-const DAMPING: f32 = 0.999;
-const MOUSE_RADIUS: f32 = CIRCLE_RADIUS * 50.0;
-const GRAVITY: f32 = -9.81 * 1000.0;
+    return circle;
+}
 
+// All-pairs neighbour search: every circle interacts with every other circle
 @compute @workgroup_size(128)
 fn main(@builtin(global_invocation_id) global_id: vec3<u32>) {
     let index = global_id.x;
     let num_circles = arrayLength(&circles);
-    
+
     if index >= num_circles {
         return;
     }
-    
-    // Get current circle data
+
+    // Get current circle data, removed circles stay as they are
     var circle = circles[index];
-    
+    if circle.alive == 0u {
+        circles_out[index] = circle;
+        potentials[index] = 0.0;
+        return;
+    }
+    let previous_acceleration = circle.acceleration;
+
     // Simulate physics
     // Calculate intermolecular acceleration
     circle.acceleration = vec2<f32>(0.0, 0.0);
-    
-    // Check force with nearby particles
+
+    var collision = Collision(vec2<f32>(0.0, 0.0), vec2<f32>(0.0, 0.0));
+    var potential = 0.0;
+
+    // Check force and collisions with nearby particles
     for (var i: u32 = 0u; i < num_circles; i += 1) {
-        if i == index {
-            continue; // Skip self
+        if i == index || circles[i].alive == 0u {
+            continue; // Skip self and removed circles
         }
-        
-        let other_circle = circles[i];
-        let offset = other_circle.position - circle.position;
-        let direction = normalize(offset);
-        let distance = length(offset);
 
-        let inter_term = INTER_SIGMA / distance;
-        let weak_force = inter_term * inter_term * inter_term;
-        let strong_force = weak_force * weak_force;
+        if uniforms.collision_mode != COLLISION_ONLY {
+            circle.acceleration += inter_acceleration(circle, circles[i]);
+            potential += inter_potential(circle, circles[i]);
+        }
+        if uniforms.collision_mode != COLLISION_OFF {
+            let pair = collide_circle(circle, circles[i]);
+            collision.position += pair.position;
+            collision.velocity += pair.velocity;
+        }
+    }
+    circle.position += collision.position;
+    circle.velocity += collision.velocity;
 
-        let inter_force = 4 * INTER_EPISILON * (strong_force - weak_force);
+    // Both circles of a pair count its potential, so each takes half
+    potentials[index] = 0.5 * potential;
 
-        if distance <= CIRCLE_RADIUS * 2.0 {
-            continue;
-        }
+    // Write updated circle data to the output buffer
+    circles_out[index] = integrate(circle, previous_acceleration);
+}
+
+// Grid neighbour search: only circles in the 3x3 adjacent cells within the cutoff interact
+@compute @workgroup_size(128)
+fn main_grid(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    let num_circles = arrayLength(&circles);
 
-        circle.acceleration -= direction * inter_force;
+    if index >= num_circles {
+        return;
     }
 
-    // Apply mouse interaction
-    if uniforms.is_mouse_down != 0u {
-        let mouse_offset = uniforms.mouse_position - circle.position;
-        let mouse_distance = length(mouse_offset);
-        
-        let term = MOUSE_RADIUS / mouse_distance;
-        let force = term * term * term * term * term * term;
-        let direction = normalize(mouse_offset);
-        circle.acceleration -= direction * force;
+    // Get current circle data, removed circles stay as they are
+    var circle = circles[index];
+    if circle.alive == 0u {
+        circles_out[index] = circle;
+        potentials[index] = 0.0;
+        return;
     }
+    let previous_acceleration = circle.acceleration;
 
-    // Apply gravity
-    circle.acceleration += vec2<f32>(0.0, GRAVITY * uniforms.gravity_direction) * delta_time;
+    // Simulate physics
+    // Calculate intermolecular acceleration
+    circle.acceleration = vec2<f32>(0.0, 0.0);
 
-    // Clamp acceleration to prevent physics breaking
-    if length(circle.acceleration) > MAX_ACCEL {
-        circle.acceleration = normalize(circle.acceleration) * MAX_ACCEL;
+    let grid_size = vec2<i32>(grid.grid_size);
+    let cell = clamp(vec2<i32>(floor(circle.position / grid.cell_size)), vec2<i32>(0), grid_size - 1);
+    let periodic = uniforms.boundary_mode == BOUNDARY_PERIODIC;
+    var collision = Collision(vec2<f32>(0.0, 0.0), vec2<f32>(0.0, 0.0));
+    var potential = 0.0;
+
+    // Adjacent cells, wrapping around when periodic
+    // With fewer than 3 cells along an axis, every cell is visited once instead
+    var first = cell - 1;
+    var last = cell + 1;
+    if periodic && grid_size.x < 3 {
+        first.x = 0;
+        last.x = grid_size.x - 1;
+    }
+    if periodic && grid_size.y < 3 {
+        first.y = 0;
+        last.y = grid_size.y - 1;
     }
 
-    // Apply acceleration to velocity
-    circle.velocity += circle.acceleration * delta_time;
+    for (var y = first.y; y <= last.y; y += 1) {
+        for (var x = first.x; x <= last.x; x += 1) {
+            var neighbour = vec2<i32>(x, y);
+            if periodic {
+                neighbour = (neighbour + grid_size) % grid_size;
+            } else if x < 0 || y < 0 || x >= grid_size.x || y >= grid_size.y {
+                continue;
+            }
 
-    // Clamp velocity to prevent physics breaking
-    if length(circle.velocity) > MAX_SPEED {
-        circle.velocity = normalize(circle.velocity) * MAX_SPEED;
-    }
-
-    // Dampen the velocity depending on its current speed
-    circle.velocity *= DAMPING;
-    
-    // Update position using velocity and delta time
-    circle.position += circle.velocity * delta_time;
-    
-    // Check boundaries and bounce
-    // Left boundary
-    if circle.position.x - CIRCLE_RADIUS < 0.0 {
-        circle.position.x = CIRCLE_RADIUS;
-        circle.velocity.x = -circle.velocity.x;
-    }
-    // Right boundary
-    else if circle.position.x + CIRCLE_RADIUS > uniforms.resolution.x {
-        circle.position.x = uniforms.resolution.x - CIRCLE_RADIUS;
-        circle.velocity.x = -circle.velocity.x;
-    }
-    
-    // Top boundary
-    if circle.position.y - CIRCLE_RADIUS < 0.0 {
-        circle.position.y = CIRCLE_RADIUS;
-        circle.velocity.y = -circle.velocity.y;
-    }
-    // Bottom boundary
-    else if circle.position.y + CIRCLE_RADIUS > uniforms.resolution.y {
-        circle.position.y = uniforms.resolution.y - CIRCLE_RADIUS;
-        circle.velocity.y = -circle.velocity.y;
-    }
-    
-    // Write back updated circle data
-    circles[index] = circle;
+            // Check force and collisions with the particles sorted into this cell
+            let cell_index = u32(neighbour.y) * grid.grid_size.x + u32(neighbour.x);
+            let start = cell_offsets[cell_index];
+            let end = start + cell_counts[cell_index];
+            for (var i = start; i < end; i += 1u) {
+                let other_index = sorted_indices[i];
+                if other_index == index {
+                    continue; // Skip self
+                }
+
+                let other_circle = circles[other_index];
+                if other_circle.alive == 0u || length(separation(circle.position, other_circle.position)) > grid.cutoff {
+                    continue;
+                }
+
+                if uniforms.collision_mode != COLLISION_ONLY {
+                    circle.acceleration += inter_acceleration(circle, other_circle);
+                    potential += inter_potential(circle, other_circle);
+                }
+                if uniforms.collision_mode != COLLISION_OFF {
+                    let pair = collide_circle(circle, other_circle);
+                    collision.position += pair.position;
+                    collision.velocity += pair.velocity;
+                }
+            }
+        }
+    }
+    circle.position += collision.position;
+    circle.velocity += collision.velocity;
+
+    // Both circles of a pair count its potential, so each takes half
+    potentials[index] = 0.5 * potential;
+
+    // Write updated circle data to the output buffer
+    circles_out[index] = integrate(circle, previous_acceleration);
 }
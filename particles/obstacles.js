@@ -0,0 +1,113 @@
+// Static obstacles drawn onto the canvas: line segments, circles and closed polygons
+// Obstacles are plain objects so they can be saved in snapshots:
+// { type: 'line', points: [[x, y], [x, y]] }, { type: 'circle', center: [x, y], radius }, { type: 'polygon', points: [[x, y], ...] }
+// For the simulation every obstacle is split into capsules { start, end, radius }:
+// the points within `radius` of the segment from `start` to `end`, a circle being a capsule of zero length
+
+const OBSTACLE_THICKNESS = 4; // Thickness of line and polygon edges in pixels
+const MIN_OBSTACLE_SIZE = 2; // Shorter lines and smaller circles are discarded while drawing
+const MAX_POLYGON_POINTS = 256;
+
+const OBSTACLE_TYPES = ['line', 'circle', 'polygon'];
+
+// Split an obstacle into the capsules the simulation collides with
+function obstacleCapsules(obstacle) {
+    switch (obstacle.type) {
+        case 'circle':
+            return [{ start: obstacle.center, end: obstacle.center, radius: obstacle.radius }];
+
+        case 'polygon':
+            return obstacle.points.map((point, i) => ({
+                start: point,
+                end: obstacle.points[(i + 1) % obstacle.points.length],
+                radius: OBSTACLE_THICKNESS / 2,
+            }));
+
+        case 'line':
+        default:
+            return [{ start: obstacle.points[0], end: obstacle.points[1], radius: OBSTACLE_THICKNESS / 2 }];
+    }
+}
+
+// Split all obstacles into capsules, in order
+function flattenObstacles(obstacles) {
+    return obstacles.flatMap(obstacleCapsules);
+}
+
+// Distance from a point to the surface of a capsule, negative inside
+function capsuleDistance(capsule, x, y) {
+    const [startX, startY] = capsule.start;
+    const segmentX = capsule.end[0] - startX;
+    const segmentY = capsule.end[1] - startY;
+    const lengthSq = segmentX * segmentX + segmentY * segmentY;
+    const t = lengthSq > 0 ? Math.min(Math.max(((x - startX) * segmentX + (y - startY) * segmentY) / lengthSq, 0), 1) : 0;
+    return Math.hypot(x - startX - t * segmentX, y - startY - t * segmentY) - capsule.radius;
+}
+
+// Find the topmost obstacle within `tolerance` pixels of a point, returning its index or -1
+function findObstacle(obstacles, x, y, tolerance) {
+    for (let i = obstacles.length - 1; i >= 0; i--) {
+        const distance = Math.min(...obstacleCapsules(obstacles[i]).map((capsule) => capsuleDistance(capsule, x, y)));
+        if (distance <= tolerance) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+// Move an obstacle by an offset
+function translateObstacle(obstacle, dx, dy) {
+    if (obstacle.type === 'circle') {
+        return { ...obstacle, center: [obstacle.center[0] + dx, obstacle.center[1] + dy] };
+    }
+    return { ...obstacle, points: obstacle.points.map(([x, y]) => [x + dx, y + dy]) };
+}
+
+// Scale an obstacle with the canvas, circles keep their shape using the smaller scale
+function scaleObstacle(obstacle, scaleX, scaleY) {
+    if (obstacle.type === 'circle') {
+        return {
+            ...obstacle,
+            center: [obstacle.center[0] * scaleX, obstacle.center[1] * scaleY],
+            radius: obstacle.radius * Math.min(scaleX, scaleY),
+        };
+    }
+    return { ...obstacle, points: obstacle.points.map(([x, y]) => [x * scaleX, y * scaleY]) };
+}
+
+// Check obstacles read from a file, throwing an error describing the first problem found
+function validateObstacles(obstacles) {
+    if (!Array.isArray(obstacles)) {
+        throw new Error('Obstacles are not a list');
+    }
+
+    const isPoint = (point) => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite);
+    obstacles.forEach((obstacle, i) => {
+        if (typeof obstacle !== 'object' || obstacle === null || !OBSTACLE_TYPES.includes(obstacle.type)) {
+            throw new Error(`Obstacle ${i} has an unknown type`);
+        }
+        if (obstacle.type === 'circle') {
+            if (!isPoint(obstacle.center) || !Number.isFinite(obstacle.radius) || obstacle.radius <= 0) {
+                throw new Error(`Obstacle ${i} is not a valid circle`);
+            }
+            return;
+        }
+
+        const [minPoints, maxPoints] = obstacle.type === 'line' ? [2, 2] : [3, MAX_POLYGON_POINTS];
+        if (!Array.isArray(obstacle.points) || obstacle.points.length < minPoints || obstacle.points.length > maxPoints || !obstacle.points.every(isPoint)) {
+            throw new Error(`Obstacle ${i} is not a valid ${obstacle.type}`);
+        }
+    });
+    return obstacles;
+}
+
+export {
+    OBSTACLE_THICKNESS,
+    MIN_OBSTACLE_SIZE,
+    MAX_POLYGON_POINTS,
+    flattenObstacles,
+    findObstacle,
+    translateObstacle,
+    scaleObstacle,
+    validateObstacles
+};
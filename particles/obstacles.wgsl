@@ -0,0 +1,90 @@
+// A mouse button, pen or finger pressed on the canvas
+struct Pointer {
+    position: vec2<f32>,
+    drag_offset: vec2<f32>, // Pointer movement per step while dragging
+}
+
+struct Uniforms {
+    resolution: vec2<f32>,
+    gravity_direction: f32,
+    integrator: u32,
+    boundary_mode: u32,
+    num_obstacles: u32,
+    mouse_tool: u32,
+    active_pointers: u32, // Bit per pointer slot in use
+    grab_pointers: u32, // Bit per pointer slot starting a drag, grabbing the circles within the mouse radius
+    collision_mode: u32,
+    thermostat: u32,
+    @align(16) pointers: array<Pointer, 8>, // Uniform arrays must start at a multiple of 16 bytes
+}
+
+// Obstacle capsule: the points within radius of the segment from start to end
+struct Obstacle {
+    start: vec2<f32>,
+    end: vec2<f32>,
+    radius: f32,
+}
+
+struct VertexInput {
+    @builtin(vertex_index) vertex_index: u32,
+    @builtin(instance_index) instance_index: u32,
+}
+
+struct FragmentInput {
+    @builtin(position) position: vec4<f32>,
+    @location(0) pixel: vec2<f32>,
+    @location(1) @interpolate(flat) instance_index: u32,
+}
+
+@group(0) @binding(0) var<uniform> uniforms: Uniforms;
+// Obstacles in use followed by the one being drawn, if any
+@group(0) @binding(1) var<storage, read> obstacles: array<Obstacle>;
+
+const OBSTACLE_COLOR: vec3<f32> = vec3<f32>(0.75, 0.75, 0.8);
+const DRAFT_COLOR: vec3<f32> = vec3<f32>(0.4, 0.7, 1.0);
+const EDGE_SMOOTHING: f32 = 1.0; // Antialiased edge width in pixels
+
+// Corners of a quad as two triangles
+const QUAD_CORNERS = array<vec2<f32>, 6>(
+    vec2<f32>(0.0, 0.0), vec2<f32>(1.0, 0.0), vec2<f32>(0.0, 1.0),
+    vec2<f32>(0.0, 1.0), vec2<f32>(1.0, 0.0), vec2<f32>(1.0, 1.0),
+);
+
+@vertex
+fn vs_main(input: VertexInput) -> FragmentInput {
+    var out: FragmentInput;
+
+    // Cover the bounding box of the capsule, the fragment shader cuts out its shape
+    let obstacle = obstacles[input.instance_index];
+    let margin = obstacle.radius + EDGE_SMOOTHING;
+    let box_min = min(obstacle.start, obstacle.end) - margin;
+    let box_max = max(obstacle.start, obstacle.end) + margin;
+    let pixel = mix(box_min, box_max, QUAD_CORNERS[input.vertex_index]);
+
+    // Convert pixel coordinates to normalized device coordinates
+    let ndc = (pixel / uniforms.resolution) * 2.0 - 1.0;
+    out.position = vec4<f32>(ndc.x, -ndc.y, 0.0, 1.0);
+    out.pixel = pixel;
+    out.instance_index = input.instance_index;
+    return out;
+}
+
+@fragment
+fn fs_main(input: FragmentInput) -> @location(0) vec4<f32> {
+    let obstacle = obstacles[input.instance_index];
+
+    // Distance to the capsule surface
+    let segment = obstacle.end - obstacle.start;
+    let t = clamp(dot(input.pixel - obstacle.start, segment) / max(dot(segment, segment), 1e-5), 0.0, 1.0);
+    let distance = length(input.pixel - (obstacle.start + t * segment)) - obstacle.radius;
+    let coverage = 1.0 - smoothstep(-EDGE_SMOOTHING * 0.5, EDGE_SMOOTHING * 0.5, distance);
+    if coverage <= 0.0 {
+        discard;
+    }
+
+    // The obstacle being drawn is highlighted and see-through
+    if input.instance_index >= uniforms.num_obstacles {
+        return vec4<f32>(DRAFT_COLOR, coverage * 0.6);
+    }
+    return vec4<f32>(OBSTACLE_COLOR, coverage);
+}
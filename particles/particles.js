@@ -3,38 +3,453 @@ import {
     htmlState,
     gpuState,
     showErrorToast,
+    showNoticeToast,
     resizeCanvas as resizeCanvasUtil,
     configureContext,
+    requestDevice,
     initDeviceAndContext,
     validateShader,
     initElements
 } from './utils.js';
+import {
+    defineStruct,
+    createStructData,
+    writeStruct,
+    readStruct
+} from './layout.js';
+import {
+    MAX_SEED,
+    createRandom,
+    randomSeed,
+    parseSeed
+} from './random.js';
+import {
+    SPAWN_IMAGES,
+    SPAWN_LAYOUTS,
+    VELOCITY_PROFILES,
+    SIZE_DISTRIBUTIONS,
+    defaultSpawnParams,
+    defaultSizeParams,
+    prepareSpawnLayout,
+    spawnCircles
+} from './spawn.js';
+import {
+    createSnapshot,
+    snapshotCircles,
+    encodeSnapshotJSON,
+    encodeSnapshotBinary,
+    decodeSnapshot
+} from './snapshot.js';
+import {
+    MIN_OBSTACLE_SIZE,
+    flattenObstacles,
+    findObstacle,
+    translateObstacle,
+    scaleObstacle,
+    validateObstacles
+} from './obstacles.js';
+import {
+    MAX_SPECIES,
+    MIN_SPECIES_RADIUS,
+    MAX_SPECIES_RADIUS,
+    MIN_SPECIES_MASS,
+    MAX_SPECIES_MASS,
+    MAX_INTERACTION_STRENGTH,
+    INTERACTION_KINDS,
+    SPECIES_TABLE_SIZE,
+    defaultSpecies,
+    defaultInteractions,
+    randomInteractions,
+    validateSpecies,
+    packSpeciesTable,
+    speciesArrays
+} from './species.js';
+import {
+    MAX_EMITTERS,
+    MAX_EMITTER_RATE,
+    MAX_EMITTER_SPEED,
+    MAX_EMITTER_LIFETIME,
+    MIN_EMITTER_SIZE,
+    EMITTER_TYPES,
+    EMITTER_LAYOUT,
+    createEmitter,
+    findEmitter,
+    translateEmitter,
+    scaleEmitter,
+    validateEmitters,
+    packEmitters
+} from './emitters.js';
+import {
+    MAX_FORCES,
+    FORCE_PARAMS_SIZE,
+    FORCE_MODULES,
+    createForce,
+    validateForces,
+    generateForceWGSL,
+    packForceParams
+} from './forces.js';
+import {
+    STATS_INTERVAL,
+    STATS_HISTORY,
+    STATS_TOTALS_LAYOUT,
+    HISTOGRAM_OFFSET,
+    HISTOGRAM_BINS,
+    STATS_SIZE,
+    STATS_COLUMNS,
+    STATS_CHARTS,
+    CHART_COLORS,
+    deriveSample,
+    maxwellBoltzmann,
+    statsToCSV,
+    drawChart,
+    drawHistogram
+} from './stats.js';
 
 // WebGPU variables
 let renderPipeline; // The render pipeline for drawing the circles
 let computePipeline; // The compute pipeline for moving the circles
 let vertexBuffer; // The vertex buffer containing circle geometry
 let indexBuffer; // The index buffer for circle triangles
-let circleBuffer; // The buffer containing circle data (position, velocity, acceleration, color)
+let circleBuffers = []; // The ping-pong pair of buffers containing circle data (position, velocity, acceleration, color)
+let circleBufferIndex = 0; // Index of the circle buffer holding the latest state
 let uniformsBuffer; // The uniforms buffer for screen resolution
 let timeBuffer; // The time buffer for delta time
-let bindGroup; // The bind group for passing uniforms to the shader
-let computeBindGroup; // The bind group for the compute pipeline
+let physicsParamsBuffer; // The uniforms buffer for physics parameters
+let speciesBuffer; // The storage buffer for species and their interaction matrix
+let forceParamsBuffer; // The uniforms buffer for the parameters of the stacked forces
+let bindGroups = []; // The bind groups for passing uniforms to the shader, one per circle buffer
+let computeBindGroups = []; // The bind groups for the compute pipeline, one per input circle buffer
+
+// Spatial grid neighbour search variables
+let gridComputePipeline; // The compute pipeline for moving the circles using the grid (main_grid)
+let gridPipelines = {}; // The compute pipelines building the grid (clear, count, prefix sum, scatter)
+let gridBindGroupLayout; // The explicit bind group layout shared by the grid building pipelines
+let gridBindGroups = []; // The bind groups for building the grid, one per input circle buffer
+let gridComputeBindGroups = []; // The bind groups for main_grid, one per input circle buffer
+let gridUniformsBuffer; // The uniforms buffer for grid dimensions
+let cellCountsBuffer; // The number of circles in each cell
+let cellOffsetsBuffer; // The start of each cell in the sorted index buffer
+let particleCellsBuffer; // The cell of each circle
+let particleRanksBuffer; // The slot of each circle within its cell
+let sortedIndicesBuffer; // The circle indices sorted by cell
+let obstaclePipeline; // The render pipeline for drawing obstacles
+let obstacleBuffer; // The obstacle capsules followed by the capsules of the obstacle being drawn
+let obstacleBindGroup; // The bind group for drawing obstacles
+let spawnPipeline; // The compute pipeline spawning emitted circles and counting the live ones
+let spawnParamsBuffer; // The uniforms buffer for the number of emitters and circles to spawn
+let emitterBuffer; // The storage buffer for the emitters and their spawn tickets
+let countersBuffer; // The live circle and spawn ticket counters of the spawn pass
+let countersReadBuffer; // The MAP_READ buffer the counters are copied to for reading back
+let spawnBindGroups = []; // The bind groups for spawning, one per circle buffer
+let potentialsBuffer; // The storage buffer for the potential energy of each circle, written by the movement pass
+let statsPipeline; // The compute pipeline reducing the circles to their statistics
+let statsParamsBuffer; // The uniforms buffer for the speed histogram range
+let statsBuffer; // The storage buffer for the reduced statistics
+let statsReadBuffer; // The MAP_READ buffer the statistics are copied to for reading back
+let statsBindGroups = []; // The bind groups for reducing the statistics, one per circle buffer
+let thermostatPipelines = {}; // The compute pipelines of the rescaling thermostats (measure, rescale)
+let thermostatBindGroupLayout; // The explicit bind group layout shared by the thermostat pipelines
+let thermostatScaleBuffer; // The velocity scale the thermostat works out each step
+let thermostatBindGroups = []; // The bind groups for the thermostat, one per circle buffer
+let gridSize = { x: 1, y: 1 }; // Number of cells along each axis
+let gridCutoff = 0; // Interaction cutoff the grid was built for
+
+// Struct layouts matching the WGSL declarations in movement.wgsl and circles.wgsl
+// The uniforms end with MAX_POINTERS pointers starting at POINTERS_OFFSET
+const MAX_POINTERS = 8; // Must match MAX_POINTERS in movement.wgsl
+const UNIFORMS_LAYOUT = defineStruct('Uniforms', [
+    ['resolution', 'vec2<f32>'],
+    ['gravity_direction', 'f32'],
+    ['integrator', 'u32'],
+    ['boundary_mode', 'u32'],
+    ['num_obstacles', 'u32'],
+    ['mouse_tool', 'u32'],
+    ['active_pointers', 'u32'],
+    ['grab_pointers', 'u32'],
+    ['collision_mode', 'u32'],
+    ['thermostat', 'u32'],
+]);
+const POINTER_LAYOUT = defineStruct('Pointer', [
+    ['position', 'vec2<f32>'],
+    ['drag_offset', 'vec2<f32>'],
+]);
+const POINTERS_OFFSET = Math.ceil(UNIFORMS_LAYOUT.size / 16) * 16;
+const UNIFORMS_SIZE = POINTERS_OFFSET + MAX_POINTERS * POINTER_LAYOUT.size;
+const CIRCLE_LAYOUT = defineStruct('Circle', [
+    ['position', 'vec2<f32>'],
+    ['velocity', 'vec2<f32>'],
+    ['acceleration', 'vec2<f32>'],
+    ['color', 'vec3<f32>'],
+    ['alive', 'u32'],
+    ['species', 'u32'],
+    ['radius', 'f32'],
+    ['mass', 'f32'],
+    ['grabbed', 'u32'],
+    ['age', 'f32'],
+    ['lifetime', 'f32'],
+]);
+const GRID_PARAMS_LAYOUT = defineStruct('GridParams', [
+    ['cell_size', 'vec2<f32>'],
+    ['grid_size', 'vec2<u32>'],
+    ['cutoff', 'f32'],
+    ['num_cells', 'u32'],
+]);
+const OBSTACLE_LAYOUT = defineStruct('Obstacle', [
+    ['start', 'vec2<f32>'],
+    ['end', 'vec2<f32>'],
+    ['radius', 'f32'],
+]);
+const SPAWN_PARAMS_LAYOUT = defineStruct('SpawnParams', [
+    ['num_emitters', 'u32'],
+    ['total', 'u32'],
+    ['seed', 'u32'],
+]);
+const COUNTERS_LAYOUT = defineStruct('Counters', [
+    ['alive', 'u32'],
+    ['spawned', 'u32'],
+]);
+const STATS_PARAMS_LAYOUT = defineStruct('StatsParams', [
+    ['histogram_max', 'f32'],
+]);
+let uniformsData = { buffer: new ArrayBuffer(UNIFORMS_SIZE) }; // CPU-side staging data for the uniforms buffer
+uniformsData.view = new DataView(uniformsData.buffer);
+let circleData; // CPU-side staging data for the circle buffer, also the latest state known to the CPU
+
+// Circle readback
+const STAGING_POOL_SIZE = 3; // Reads in flight before one-off staging buffers are created
+let stagingBuffers = []; // Pool of { buffer, device, busy } MAP_READ buffers for reading circles back
+
+// CPU simulation worker state
+let cpuWorker = null; // The worker running the CPU simulation (see cpu_worker.js)
+let cpuGeneration = 0; // Bumped whenever the worker is given new circle data
+let cpuWorkerLoaded = false; // Whether the worker holds the latest circle data
+let cpuStepPending = false; // Whether a step request is waiting for the worker
+let cpuFrameBuffer = null; // Transferable buffer bounced between the main thread and the worker
+let isSwitchingMode = false; // Whether the circle state is being handed over between GPU and CPU
+let cpuStepWaiters = []; // Resolvers waiting for the pending step of the worker
 
 // Circle configuration
-let num_circles = 128;
+let num_circles = 128; // Circles spawned on (re)starting, as entered by the user and shared in the URL
+let circleCapacity = num_circles; // Circles the circle buffers hold, grown for emitted circles
 const CIRCLE_RADIUS = 5;
 const CIRCLE_SEGMENTS = 16; // Number of triangles to approximate a circle
 const CIRCLE_SPAWN_RADIUS = 4 * CIRCLE_RADIUS; // Minimum distance between circles
 const SPEED = 60.0; // Movement speed in pixels per second
+const MAX_SPAWN_SPEED = 1000.0; // Default max speed of the simulation
 let circles = []; // Array to store circle data (position, velocity, acceleration, color)
+let seed = randomSeed(); // Seed for spawning circles, the same seed and count give the same circles
+let spawnLayout = 'random'; // Spawn layout, see SPAWN_LAYOUTS in spawn.js
+let spawnParams = defaultSpawnParams(spawnLayout); // Parameter values of the spawn layout
+let velocityProfile = 'random'; // Initial velocity profile, see VELOCITY_PROFILES in spawn.js
+let spawnSpeed = SPEED; // Initial speed of the velocity profile in pixels per second
+let sizeDistribution = 'fixed'; // Spread of circle sizes around their species radius, see SIZE_DISTRIBUTIONS in spawn.js
+let sizeParams = defaultSizeParams(sizeDistribution); // Parameter values of the size distribution
+
+// Species configuration, see species.js
+let species = defaultSpecies(1, CIRCLE_RADIUS); // Colour and default radius and mass of each species
+let interactions = defaultInteractions(1); // Row-major matrix of how each species acts on each other
+let speciesTableData = new DataView(new ArrayBuffer(SPECIES_TABLE_SIZE)); // CPU-side staging data for the species buffer
+
+// Stacked force configuration, see forces.js
+let forces = []; // Forces stacked on top of the species interactions, gravity and mouse tools
+let forceParamsData = new DataView(new ArrayBuffer(FORCE_PARAMS_SIZE)); // CPU-side staging data for the force parameters buffer
+
+// Resize configuration
+let resizeMode = 'clamp'; // 'clamp' => keep positions, clamped into the canvas, 'rescale' => scale positions with the canvas
+let circleBounds = { width: 0, height: 0 }; // Canvas size the circle positions refer to
+let isResizing = false; // Whether the circle state is being fitted to a new canvas size
+let isResizePending = false; // Whether the canvas was resized again while fitting
+
+// Simulation configuration
+const WORKGROUP_SIZE = 128; // Must match @workgroup_size in movement.wgsl and grid.wgsl
+const NEIGHBOUR_CUTOFF_SIGMAS = 3; // Interaction cutoff (and grid cell size) in multiples of inter_sigma, see neighbourCutoff
+const MAX_CIRCLES_ALL_PAIRS = 2000; // All-pairs search is O(n^2), keep it interactive
+const MAX_CIRCLES_GRID = 100000;
+const MAX_CIRCLES_CPU_GRID = 10000; // The CPU cell list is linear but still much slower than the GPU
+let neighbourMode = 'all-pairs'; // 'all-pairs' => every pair interacts, 'grid' => adjacent cells only
+
+// Physics parameters in the order of PhysicsParams in movement.wgsl, with defaults and ranges
+const PHYSICS_PARAMS = {
+    inter_epsilon: { label: 'Interaction strength', value: 100.0, min: 0, max: 1000, step: 1 },
+    inter_sigma: { label: 'Interaction distance (px)', value: CIRCLE_RADIUS * 8, min: CIRCLE_RADIUS * 2, max: 120, step: 1 },
+    max_accel: { label: 'Max acceleration (px/s²)', value: 10000.0, min: 100, max: 50000, step: 100 },
+    max_speed: { label: 'Max speed (px/s)', value: 1000.0, min: 10, max: 5000, step: 10 },
+    damping: { label: 'Damping', value: 0.999, min: 0.9, max: 1, step: 0.001 },
+    mouse_radius: { label: 'Mouse radius (px)', value: CIRCLE_RADIUS * 20, min: 0, max: 1000, step: 5 },
+    mouse_strength: { label: 'Mouse strength (px/s²)', value: 5000.0, min: 0, max: 50000, step: 100 },
+    gravity: { label: 'Gravity (px/s²)', value: 9.81 * 1000.0, min: 0, max: 30000, step: 10 },
+    restitution: { label: 'Wall restitution', value: 1.0, min: 0, max: 1, step: 0.01 },
+    collision_restitution: { label: 'Collision restitution', value: 1.0, min: 0, max: 1, step: 0.01 },
+    target_temperature: { label: 'Target temperature', value: 1000.0, min: 0, max: 20000, step: 10 },
+    thermostat_time: { label: 'Thermostat time (s)', value: 0.5, min: 0.01, max: 5, step: 0.01 },
+};
+const PHYSICS_PARAMS_LAYOUT = defineStruct('PhysicsParams', Object.keys(PHYSICS_PARAMS).map((name) => [name, 'f32']));
+let physicsParams = defaultPhysicsParams(); // Current physics parameter values
+let physicsParamsData = createStructData(PHYSICS_PARAMS_LAYOUT); // CPU-side staging data for the physics parameters buffer
+
+// Integration configuration
+// Ids must match the INTEGRATOR_* constants in movement.wgsl and cpu_simulation.js
+const INTEGRATORS = {
+    'explicit-euler': { id: 0, label: 'Explicit Euler' },
+    'semi-implicit-euler': { id: 1, label: 'Semi-implicit Euler' },
+    'velocity-verlet': { id: 2, label: 'Velocity Verlet' },
+};
+const MIN_FIXED_STEP = 1 / 1000; // Fixed step bounds in seconds
+const MAX_FIXED_STEP = 1 / 20;
+const MAX_SUBSTEPS_LIMIT = 16;
+let integrator = 'semi-implicit-euler';
+let fixedStep = 1 / 120; // Simulation step in seconds, independent of the frame rate
+let maxSubsteps = 4; // Maximum number of fixed steps per frame, excess time is dropped
+let stepAccumulator = 0; // Frame time not yet simulated
+
+// Pause and rewind configuration
+const REWIND_SECONDS = 10; // Simulated time kept for rewinding
+const REWIND_INTERVAL = 0.1; // Simulated seconds between rewind snapshots
+const MAX_REWIND_BYTES = 256 * 1024 * 1024; // GPU memory the rewind snapshots may use, fewer are kept for many circles
+let isPaused = false;
+let pendingSteps = 0; // Single steps requested while paused
+let rewindBuffers = []; // Ring of circle buffer copies, created as they are first needed
+let rewindStart = 0; // Ring index of the oldest snapshot
+let rewindCount = 0; // Number of snapshots in the ring
+let rewindPosition = -1; // Snapshot shown while scrubbing, 0 being the oldest, -1 when showing the live state
+let rewindClock = 0; // Simulated time since the last snapshot
+let rewindCapacity = 0; // Number of snapshots the ring holds for the current number of circles
+let isRewinding = false; // Whether a snapshot is being copied back, the simulation waits for it
+let pendingRewindPosition = -1; // Snapshot requested while another one was being copied back
+
+// Boundary configuration
+// Ids must match the BOUNDARY_* constants in movement.wgsl and cpu_simulation.js
+const BOUNDARY_MODES = {
+    'reflective': { id: 0, label: 'Reflective' }, // Bounce off the walls, scaled by the restitution
+    'periodic': { id: 1, label: 'Periodic' }, // Wrap around, interacting across edges
+    'absorbing': { id: 2, label: 'Absorbing' }, // Remove circles leaving the canvas
+    'open': { id: 3, label: 'Open' }, // Let circles leave and keep simulating them
+};
+let boundaryMode = 'reflective';
+
+// Collision configuration
+// Ids must match the COLLISION_* constants in movement.wgsl and cpu_simulation.js
+const COLLISION_MODES = {
+    'off': { id: 0, label: 'Off' }, // Circles only interact through the species forces and may overlap
+    'with-forces': { id: 1, label: 'With forces' }, // Circles collide as hard spheres and interact through the forces
+    'only': { id: 2, label: 'Hard spheres only' }, // Circles only collide, like billiard balls
+};
+let collisionMode = 'off';
+
+// Thermostats holding the temperature (mean kinetic energy per circle) near target_temperature
+// Ids must match the THERMOSTAT_* constants in movement.wgsl, thermostat.wgsl and cpu_simulation.js
+const THERMOSTATS = {
+    'off': { id: 0, label: 'Off' }, // Only the damping takes energy out
+    'rescale': { id: 1, label: 'Velocity rescaling', rescales: true }, // Scale all velocities to the target every step
+    'berendsen': { id: 2, label: 'Berendsen', rescales: true }, // Scale the velocities towards the target over the thermostat time
+    'langevin': { id: 3, label: 'Langevin' }, // Friction and random kicks on every circle
+};
+let thermostat = 'off';
+
+// Obstacle configuration
+const MAX_OBSTACLE_CAPSULES = 4096; // Every circle checks every obstacle capsule each step
+const MIN_OBSTACLE_CAPACITY = 16; // Smallest obstacle buffer in capsules, it grows in powers of two
+const OBSTACLE_PICK_TOLERANCE = 6; // Distance in pixels within which the move and delete tools pick an obstacle
+const POLYGON_CLOSE_DISTANCE = 10; // Clicking this close to the first point closes a polygon
+let obstacles = []; // Obstacles drawn by the user, see obstacles.js
+let obstacleTool = 'none'; // 'none' => the mouse uses the mouse tool, otherwise 'line', 'circle', 'polygon', 'move' or 'delete'
+let obstacleDraft = null; // Obstacle being drawn, circles do not collide with it yet
+let obstacleDrag = null; // { index, x, y } of the obstacle being moved and the last mouse position
+let obstacleData = createStructData(OBSTACLE_LAYOUT, 1); // Packed capsules of the obstacles, then of the draft
+let obstacleCapacity = 0; // Number of capsules the obstacle buffer holds
+let numObstacleCapsules = 0; // Capsules of the finished obstacles
+let numDraftCapsules = 0; // Capsules of the obstacle being drawn
+
+// Emitter configuration
+const EMITTER_PICK_TOLERANCE = 8; // Distance in pixels within which the move and delete tools pick an emitter
+let emitters = []; // Emitters placed by the user, see emitters.js
+let emitterTool = 'none'; // 'none' => the mouse uses the other tools, otherwise 'point', 'line', 'area', 'move' or 'delete'
+let emitterDraft = null; // Emitter being placed, it does not emit yet
+let emitterDrag = null; // { index, x, y } of the emitter being moved and the last mouse position
+let emitterBacklog = new WeakMap(); // Circles each emitter is due but has not spawned yet, with the fraction of the next one
+const MAX_PAINT_SPAWNS = 16; // Painted circles spawned per frame, each packed after the emitters like a point emitter
+let emitterData = createStructData(EMITTER_LAYOUT, MAX_EMITTERS + MAX_PAINT_SPAWNS); // CPU-side staging data for the emitter buffer
+let spawnParamsData = createStructData(SPAWN_PARAMS_LAYOUT); // CPU-side staging data for the spawn parameters buffer
+let spawnCount = 0; // Spawn passes so far, varying the random emission
+let aliveCount = 0; // Circles alive when last counted by the simulation
+let isCountPending = false; // Whether the counters are being read back
+let isGrowing = false; // Whether the circle buffers are being grown for emitted circles
+
+// Statistics overlay
+let isStatsVisible = false; // Statistics are only measured while the overlay is shown
+let statsTime = 0; // Simulated seconds since the simulation was (re)started
+let statsClock = 0; // Simulated time since the last sample
+let statsSamples = []; // Time series of the last STATS_HISTORY samples, see deriveSample in stats.js
+let lastStatsTotals = null; // Totals of the latest sample, for the speed histogram
+let statsParamsData = createStructData(STATS_PARAMS_LAYOUT); // CPU-side staging data for the stats parameters buffer
+let isStatsPending = false; // Whether the statistics are being read back
+let statsRequest = null; // { time, histogramMax } of the sample the CPU worker is measuring
+
+// Mouse tools, acting on the circles within the mouse radius
+// Ids must match the MOUSE_TOOL_* constants in movement.wgsl and cpu_simulation.js
+const MOUSE_TOOLS = {
+    'repel': { id: 0, label: 'Repel', key: 'r', instruction: 'Press MOUSE or touch to push away particles' },
+    'attract': { id: 1, label: 'Attract', key: 'a', instruction: 'Press MOUSE or touch to pull in particles' },
+    'drag': { id: 2, label: 'Drag', key: 'd', instruction: 'Press MOUSE or touch to grab particles and move to drag them' },
+    'paint': { id: 3, label: 'Paint', key: 'p', instruction: 'Press MOUSE or touch and move to paint new particles' },
+    'erase': { id: 4, label: 'Erase', key: 'e', instruction: 'Press MOUSE or touch to erase particles' },
+};
+const PAINT_SPACING = 8; // Pointer movement in pixels between painted circles
+let mouseTool = 'repel';
+let paintQueue = []; // Painted circles waiting to be spawned into free slots
+let isPaintLimitShown = false; // Whether the circle limit was reported during the current stroke
 
 // Interaction state
-let mousePosition = { x: 0, y: 0 }; // Current mouse position
-let isMouseDown = false;
+// Pointers (mouse, pens and fingers) over the canvas by pointer id: { x, y, slot, isGrabPending, dragPosition, dragOffset, paintPosition }
+// Pressed pointers take a slot in the pointers of the uniforms, hovering ones only show the mouse radius
+let pointers = new Map();
 let gravityDirection = 0.0; // 0 for none, -1 for downward, 1 for upward
 let useGPU = true; // true => GPU mode, false => CPU mode
 
+// Device loss recovery
+const MAX_DEVICE_RECOVERY_ATTEMPTS = 3; // Give up after this many failed attempts
+const DEVICE_RECOVERY_DELAY = 1000; // Delay between recovery attempts in milliseconds
+const BACKUP_INTERVAL = 0.1; // Simulated seconds between reading the circle state back in GPU mode
+let isRecoveringDevice = false;
+let backupClock = 0; // Simulated time since the circle state was last read back
+let isBackupPending = false;
+
+// Get the maximum number of circles for the current modes
+function maxCircles(gpu = useGPU, mode = neighbourMode) {
+    if (mode !== 'grid') {
+        return MAX_CIRCLES_ALL_PAIRS;
+    }
+    return gpu ? MAX_CIRCLES_GRID : MAX_CIRCLES_CPU_GRID;
+}
+
+// Largest radius a circle of any species can spawn with
+function maxCircleRadius() {
+    return Math.max(...species.map((entry) => entry.radius)) * SIZE_DISTRIBUTIONS[sizeDistribution].maxScale(sizeParams);
+}
+
+// Interaction cutoff and grid cell size in pixels
+// inter_sigma is for two circles of CIRCLE_RADIUS and scales with their contact distance (see movement.wgsl),
+// so the cutoff reaches that far for the largest circles and always covers their contact
+function neighbourCutoff() {
+    const contact = 2 * maxCircleRadius();
+    const range = physicsParams.inter_sigma * NEIGHBOUR_CUTOFF_SIGMAS;
+    return Math.max(range * contact / (2 * CIRCLE_RADIUS), range, contact);
+}
+
+// Get the default physics parameter values
+function defaultPhysicsParams() {
+    const params = {};
+    for (const [name, param] of Object.entries(PHYSICS_PARAMS)) {
+        params[name] = param.value;
+    }
+    return params;
+}
+
+// Whether circle data can be shared with the worker instead of transferred
+function useSharedCircleData() {
+    return typeof SharedArrayBuffer !== 'undefined' && window.crossOriginIsolated === true;
+}
+
 // Update mode UI
 function updateModeUI() {
     const modeStatus = document.getElementById('mode-status');
@@ -43,15 +458,510 @@ function updateModeUI() {
     if (toggleBtn) toggleBtn.textContent = useGPU ? 'Switch to CPU' : 'Switch to GPU';
 }
 
+// Update integrator status
+function updateIntegratorUI() {
+    const integratorStatus = document.getElementById('integrator-status');
+    if (integratorStatus) {
+        integratorStatus.textContent = `${INTEGRATORS[integrator].label}, step ${(fixedStep * 1000).toFixed(2)} ms (max ${maxSubsteps}/frame)`;
+    }
+}
+
+// Read spawn parameter values from the URL, each under the prefix and its name, e.g. layout-spacing=30
+function readURLSpawnParams(params, prefix, definitions, values) {
+    for (const [name, param] of Object.entries(definitions)) {
+        const key = `${prefix}-${name}`;
+        if (!params.has(key)) {
+            continue;
+        }
+
+        const value = param.options ? params.get(key) : parseFloat(params.get(key));
+        const isValid = param.options
+            ? param.options.includes(value)
+            : !isNaN(value) && value >= param.min && value <= param.max;
+        if (isValid) {
+            values[name] = value;
+        } else {
+            showErrorToast(`Ignoring invalid ${param.label} in URL: ${params.get(key)}`);
+        }
+    }
+}
+
+// Read the starting state from the URL, e.g. ?seed=42&circles=500&layout=lattice&layout-spacing=30&velocity=zero
+function readURLParams() {
+    const params = new URLSearchParams(window.location.search);
+
+    const urlSeed = parseSeed(params.get('seed'));
+    if (urlSeed !== null) {
+        seed = urlSeed;
+    } else if (params.has('seed')) {
+        showErrorToast(`Ignoring invalid seed in URL: ${params.get('seed')}`);
+    }
+
+    if (params.has('circles')) {
+        const urlNumCircles = parseInt(params.get('circles'));
+        if (isNaN(urlNumCircles) || urlNumCircles < 1 || urlNumCircles > maxCircles()) {
+            showErrorToast(`Ignoring invalid number of circles in URL, must be between 1 and ${maxCircles()}`);
+        } else {
+            num_circles = urlNumCircles;
+        }
+    }
+
+    if (params.has('layout')) {
+        if (SPAWN_LAYOUTS[params.get('layout')]) {
+            spawnLayout = params.get('layout');
+            spawnParams = defaultSpawnParams(spawnLayout);
+        } else {
+            showErrorToast(`Ignoring unknown spawn layout in URL: ${params.get('layout')}`);
+        }
+    }
+    readURLSpawnParams(params, 'layout', SPAWN_LAYOUTS[spawnLayout].params, spawnParams);
+
+    if (params.has('velocity')) {
+        if (VELOCITY_PROFILES[params.get('velocity')]) {
+            velocityProfile = params.get('velocity');
+        } else {
+            showErrorToast(`Ignoring unknown velocity profile in URL: ${params.get('velocity')}`);
+        }
+    }
+
+    if (params.has('speed')) {
+        const urlSpeed = parseFloat(params.get('speed'));
+        if (isNaN(urlSpeed) || urlSpeed < 0 || urlSpeed > MAX_SPAWN_SPEED) {
+            showErrorToast(`Ignoring invalid initial speed in URL, must be between 0 and ${MAX_SPAWN_SPEED} px/s`);
+        } else {
+            spawnSpeed = urlSpeed;
+        }
+    }
+
+    if (params.has('sizes')) {
+        if (SIZE_DISTRIBUTIONS[params.get('sizes')]) {
+            sizeDistribution = params.get('sizes');
+            sizeParams = defaultSizeParams(sizeDistribution);
+        } else {
+            showErrorToast(`Ignoring unknown size distribution in URL: ${params.get('sizes')}`);
+        }
+    }
+    readURLSpawnParams(params, 'sizes', SIZE_DISTRIBUTIONS[sizeDistribution].params, sizeParams);
+}
+
+// Reflect the starting state (seed, number of circles, spawn layout, velocities and sizes) in the URL
+// and inputs so it can be shared
+function updateSeedUI() {
+    const numCirclesInput = document.getElementById('num-circles-input');
+    const seedInput = document.getElementById('seed-input');
+    const spawnLayoutSelect = document.getElementById('spawn-layout-select');
+    const velocityProfileSelect = document.getElementById('velocity-profile-select');
+    const spawnSpeedInput = document.getElementById('spawn-speed-input');
+    const sizeDistributionSelect = document.getElementById('size-distribution-select');
+    if (numCirclesInput) numCirclesInput.value = num_circles;
+    if (seedInput) seedInput.value = seed;
+    if (spawnLayoutSelect) spawnLayoutSelect.value = spawnLayout;
+    if (velocityProfileSelect) velocityProfileSelect.value = velocityProfile;
+    if (spawnSpeedInput) spawnSpeedInput.value = spawnSpeed;
+    if (sizeDistributionSelect) sizeDistributionSelect.value = sizeDistribution;
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', seed);
+    url.searchParams.set('circles', num_circles);
+    url.searchParams.set('layout', spawnLayout);
+    url.searchParams.set('velocity', velocityProfile);
+    url.searchParams.set('speed', spawnSpeed);
+    url.searchParams.set('sizes', sizeDistribution);
+
+    // Parameters of a previous layout or size distribution no longer apply
+    for (const key of [...url.searchParams.keys()]) {
+        if (key.startsWith('layout-') || key.startsWith('sizes-')) {
+            url.searchParams.delete(key);
+        }
+    }
+    for (const [name, value] of Object.entries(spawnParams)) {
+        url.searchParams.set(`layout-${name}`, value);
+    }
+    for (const [name, value] of Object.entries(sizeParams)) {
+        url.searchParams.set(`sizes-${name}`, value);
+    }
+    window.history.replaceState(null, '', url);
+}
+
+// Build labelled inputs for spawn parameter definitions, changing a value in `values` respawns the circles
+function createSpawnParamInputs(definitions, values, idPrefix) {
+    const elements = [];
+    for (const [name, param] of Object.entries(definitions)) {
+        const id = `${idPrefix}-${name}`;
+        const label = document.createElement('label');
+        label.setAttribute('for', id);
+        label.textContent = `${param.label}:`;
+
+        let input;
+        if (param.options) {
+            input = document.createElement('select');
+            for (const option of param.options) {
+                const optionElement = document.createElement('option');
+                optionElement.value = option;
+                optionElement.textContent = SPAWN_IMAGES[option] ? SPAWN_IMAGES[option].label : option;
+                input.appendChild(optionElement);
+            }
+        } else {
+            input = document.createElement('input');
+            input.type = 'number';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+        }
+        input.id = id;
+        input.value = values[name];
+
+        // Changing a parameter respawns the circles
+        input.addEventListener('change', () => {
+            const value = param.options ? input.value : parseFloat(input.value);
+            if (!param.options && (isNaN(value) || value < param.min || value > param.max)) {
+                showErrorToast(`${param.label} must be between ${param.min} and ${param.max}`);
+                input.value = values[name];
+                return;
+            }
+            values[name] = value;
+            restartSimulation(num_circles);
+        });
+
+        elements.push(label, input);
+    }
+    return elements;
+}
+
+// Build the parameter inputs of the current spawn layout
+function updateSpawnParamsUI() {
+    const spawnParamsContainer = document.getElementById('spawn-params');
+    if (spawnParamsContainer) {
+        spawnParamsContainer.replaceChildren(...createSpawnParamInputs(SPAWN_LAYOUTS[spawnLayout].params, spawnParams, 'spawn-param'));
+    }
+}
+
+// Build the parameter inputs of the current size distribution
+function updateSizeParamsUI() {
+    const sizeParamsContainer = document.getElementById('size-params');
+    if (sizeParamsContainer) {
+        sizeParamsContainer.replaceChildren(...createSpawnParamInputs(SIZE_DISTRIBUTIONS[sizeDistribution].params, sizeParams, 'size-param'));
+    }
+}
+
+// Build the slider and numeric input of every physics parameter
+function updatePhysicsParamsUI() {
+    const physicsParamsContainer = document.getElementById('physics-params');
+    if (!physicsParamsContainer) {
+        return;
+    }
+
+    const rows = [];
+    for (const [name, param] of Object.entries(PHYSICS_PARAMS)) {
+        const row = document.createElement('div');
+        row.className = 'physics-param';
+
+        const label = document.createElement('label');
+        label.setAttribute('for', `physics-param-${name}`);
+        label.textContent = `${param.label}:`;
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.id = `physics-range-${name}`;
+        slider.setAttribute('aria-label', param.label);
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.id = `physics-param-${name}`;
+
+        for (const element of [slider, input]) {
+            element.min = param.min;
+            element.max = param.max;
+            element.step = param.step;
+            element.value = physicsParams[name];
+        }
+
+        // Sliders update the simulation while dragging
+        slider.addEventListener('input', () => {
+            physicsParams[name] = parseFloat(slider.value);
+            input.value = slider.value;
+            updatePhysicsParamsBuffer();
+        });
+
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            if (isNaN(value) || value < param.min || value > param.max) {
+                showErrorToast(`${param.label} must be between ${param.min} and ${param.max}`);
+                input.value = physicsParams[name];
+                return;
+            }
+            physicsParams[name] = value;
+            slider.value = value;
+            updatePhysicsParamsBuffer();
+        });
+
+        row.append(label, slider, input);
+        rows.push(row);
+    }
+    physicsParamsContainer.replaceChildren(...rows);
+}
+
+// Reset all physics parameters to their defaults
+function resetPhysicsParams() {
+    physicsParams = defaultPhysicsParams();
+    updatePhysicsParamsUI();
+    updatePhysicsParamsBuffer();
+}
+
+// Build the rows of the stacked forces, each with a slider and numeric input per parameter
+function updateForcesUI() {
+    const forceList = document.getElementById('force-list');
+    if (!forceList) {
+        return;
+    }
+
+    const rows = forces.map((force, i) => {
+        const module = FORCE_MODULES[force.type];
+        const row = document.createElement('div');
+        row.className = 'force-row';
+
+        const header = document.createElement('div');
+        header.className = 'force-header';
+        const label = document.createElement('label');
+        label.textContent = `${i + 1}: ${module.label}`;
+        const removeButton = document.createElement('button');
+        removeButton.className = 'apply-button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            forces.splice(forces.indexOf(force), 1);
+            updateForceStack();
+        });
+        header.append(label, removeButton);
+        row.appendChild(header);
+
+        // Parameters only change the force parameters buffer, not the shader
+        for (const [name, param] of Object.entries(module.params)) {
+            const paramRow = document.createElement('div');
+            paramRow.className = 'physics-param';
+
+            const paramLabel = document.createElement('label');
+            paramLabel.setAttribute('for', `force-param-${i}-${name}`);
+            paramLabel.textContent = `${param.label}:`;
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.id = `force-range-${i}-${name}`;
+            slider.setAttribute('aria-label', `${module.label} ${param.label}`);
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `force-param-${i}-${name}`;
+
+            for (const element of [slider, input]) {
+                element.min = param.min;
+                element.max = param.max;
+                element.step = param.step;
+                element.value = force.params[name];
+            }
+
+            slider.addEventListener('input', () => {
+                force.params[name] = parseFloat(slider.value);
+                input.value = slider.value;
+                updateForceParamsBuffer();
+            });
+
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (isNaN(value) || value < param.min || value > param.max) {
+                    showErrorToast(`${param.label} must be between ${param.min} and ${param.max}`);
+                    input.value = force.params[name];
+                    return;
+                }
+                force.params[name] = value;
+                slider.value = value;
+                updateForceParamsBuffer();
+            });
+
+            paramRow.append(paramLabel, slider, input);
+            row.appendChild(paramRow);
+        }
+        return row;
+    });
+    forceList.replaceChildren(...rows);
+
+    const addForceButton = document.getElementById('add-force');
+    if (addForceButton) addForceButton.disabled = forces.length >= MAX_FORCES;
+}
+
+// Apply a change to the stacked forces: the CPU simulation takes them from the next step,
+// the GPU once the movement shader is regenerated, which then reads the repacked parameters
+async function updateForceStack() {
+    updateForcesUI();
+    postCPUWorkerEnv();
+    if (!computePipeline) {
+        return;
+    }
+
+    try {
+        await createComputePipeline();
+        createBindGroups();
+        updateForceParamsBuffer();
+    } catch (error) {
+        // The error was shown when creating the pipeline, the previous shader stays in use
+        console.warn('Regenerating the movement shader failed:', error);
+    }
+}
+
+// Colour [r, g, b] with components from 0 to 1 as #rrggbb for colour inputs
+function colorToHex(color) {
+    return `#${color.map((c) => Math.round(c * 255).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Colour input value #rrggbb as [r, g, b] with components from 0 to 1
+function hexToColor(hex) {
+    return [1, 3, 5].map((start) => parseInt(hex.slice(start, start + 2), 16) / 255);
+}
+
+// Build the species rows and the interaction matrix
+function updateSpeciesUI() {
+    const speciesCountInput = document.getElementById('species-count-input');
+    const speciesList = document.getElementById('species-list');
+    const interactionMatrix = document.getElementById('interaction-matrix');
+    if (speciesCountInput) {
+        speciesCountInput.value = species.length;
+    }
+    if (!speciesList || !interactionMatrix) {
+        return;
+    }
+
+    // Colour of each species, applied while running, and the radius and mass of its new circles
+    const rows = species.map((entry, i) => {
+        const row = document.createElement('div');
+        row.className = 'species-row';
+
+        const label = document.createElement('label');
+        label.textContent = `${i + 1}:`;
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.id = `species-color-${i}`;
+        colorInput.value = colorToHex(entry.color);
+        colorInput.setAttribute('aria-label', `Species ${i + 1} colour`);
+        colorInput.addEventListener('input', () => {
+            entry.color = hexToColor(colorInput.value);
+            updateSpeciesBuffer();
+        });
+
+        const numberInput = (name, text, min, max, step) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `species-${name}-${i}`;
+            input.min = min;
+            input.max = max;
+            input.step = step;
+            input.value = entry[name];
+            input.title = text;
+            input.setAttribute('aria-label', `Species ${i + 1} ${text.toLowerCase()}`);
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (isNaN(value) || value < min || value > max) {
+                    showErrorToast(`${text} must be between ${min} and ${max}`);
+                    input.value = entry[name];
+                    return;
+                }
+                entry[name] = value;
+                restartSimulation(num_circles);
+            });
+            return input;
+        };
+
+        row.append(
+            label,
+            colorInput,
+            numberInput('radius', 'Radius (px)', MIN_SPECIES_RADIUS, MAX_SPECIES_RADIUS, 0.5),
+            numberInput('mass', 'Mass', MIN_SPECIES_MASS, MAX_SPECIES_MASS, 0.1)
+        );
+        return row;
+    });
+    speciesList.replaceChildren(...rows);
+
+    // Kind and strength of how the column species acts on the row species
+    interactionMatrix.style.setProperty('--species-count', species.length);
+    const cells = interactions.map((interaction, index) => {
+        const a = Math.floor(index / species.length) + 1;
+        const b = index % species.length + 1;
+        const cell = document.createElement('div');
+        cell.className = 'interaction-cell';
+        cell.title = `How species ${b} acts on species ${a}`;
+
+        const kindSelect = document.createElement('select');
+        kindSelect.id = `interaction-kind-${index}`;
+        kindSelect.setAttribute('aria-label', `Interaction of species ${b} on ${a}`);
+        for (const [kind, { label }] of Object.entries(INTERACTION_KINDS)) {
+            const option = document.createElement('option');
+            option.value = kind;
+            option.textContent = label;
+            kindSelect.appendChild(option);
+        }
+        kindSelect.value = interaction.kind;
+        kindSelect.addEventListener('change', () => {
+            interaction.kind = kindSelect.value;
+            updateSpeciesBuffer();
+        });
+
+        const strengthInput = document.createElement('input');
+        strengthInput.type = 'number';
+        strengthInput.id = `interaction-strength-${index}`;
+        strengthInput.min = 0;
+        strengthInput.max = MAX_INTERACTION_STRENGTH;
+        strengthInput.step = 0.05;
+        strengthInput.value = interaction.strength;
+        strengthInput.setAttribute('aria-label', `Strength of species ${b} on ${a}`);
+        strengthInput.addEventListener('change', () => {
+            const value = parseFloat(strengthInput.value);
+            if (isNaN(value) || value < 0 || value > MAX_INTERACTION_STRENGTH) {
+                showErrorToast(`Interaction strength must be between 0 and ${MAX_INTERACTION_STRENGTH}`);
+                strengthInput.value = interaction.strength;
+                return;
+            }
+            interaction.strength = value;
+            updateSpeciesBuffer();
+        });
+
+        cell.append(kindSelect, strengthInput);
+        return cell;
+    });
+    interactionMatrix.replaceChildren(...cells);
+}
+
+// Change the number of species, keeping the settings of the remaining ones, and respawn the circles
+function setSpeciesCount(count) {
+    const speciesCount = parseInt(count);
+    if (isNaN(speciesCount) || speciesCount < 1 || speciesCount > MAX_SPECIES) {
+        showErrorToast(`Number of species must be between 1 and ${MAX_SPECIES}`);
+        updateSpeciesUI();
+        return;
+    }
+
+    // Going from one species to several (or back) switches between plain and species colours
+    const keepSpecies = (speciesCount > 1) === (species.length > 1) ? species : [];
+    interactions = defaultInteractions(speciesCount, interactions, species.length);
+    species = defaultSpecies(speciesCount, CIRCLE_RADIUS, keepSpecies);
+    updateSpeciesUI();
+    updateSpeciesBuffer();
+    updateEmittersUI();
+    restartSimulation(num_circles);
+}
+
 // Update gravity state
 function updateGravity() {
     if (gravityDirection == 0) {
-        gravityDirection = -1.0;
+        setGravityDirection(-1.0);
     } else if (gravityDirection == -1) {
-        gravityDirection = 1.0;
+        setGravityDirection(1.0);
     } else {
-        gravityDirection = 0.0;
+        setGravityDirection(0.0);
     }
+}
+
+// Set gravity direction and show it
+function setGravityDirection(direction) {
+    gravityDirection = direction;
     updateUniformsBuffer();
 
     const gravityStatus = document.getElementById('gravity-status');
@@ -72,29 +982,614 @@ function updateGravity() {
     }
 }
 
-// Update mouse position and button state
-function updateMousePosition(event, overrideDown = null) {
-    if (overrideDown !== null) {
-        isMouseDown = overrideDown;
+// Track pointers pressing and moving over the canvas
+// While an emitter or obstacle tool is selected the primary pointer edits those instead of using the mouse tool
+function handlePointer(event) {
+    if (emitterTool !== 'none') {
+        if (event.isPrimary !== false) {
+            handleEmitterMouse(event);
+        }
+        return;
+    }
+    if (obstacleTool !== 'none') {
+        if (event.isPrimary !== false) {
+            handleObstacleMouse(event);
+        }
         return;
     }
 
     const rect = htmlState.canvas.getBoundingClientRect();
-    mousePosition.x = event.clientX - rect.left;
-    mousePosition.y = event.clientY - rect.top;
-    isMouseDown = event.buttons > 0;
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+    let pointer = pointers.get(event.pointerId);
+
+    switch (event.type) {
+        case 'pointerdown': {
+            // Further presses beyond the free slots are ignored
+            const usedSlots = [...pointers.values()].map((other) => other.slot);
+            const slot = Array.from({ length: MAX_POINTERS }, (_, i) => i).find((i) => !usedSlots.includes(i));
+            if (slot === undefined) {
+                return;
+            }
+
+            // A new press starts a drag or a paint stroke
+            pointer = {
+                x, y, slot,
+                isGrabPending: mouseTool === 'drag',
+                dragPosition: { x, y },
+                dragOffset: { x: 0, y: 0 },
+                paintPosition: null,
+            };
+            pointers.set(event.pointerId, pointer);
+            isPaintLimitShown = false;
+            htmlState.canvas.setPointerCapture?.(event.pointerId);
+            break;
+        }
+
+        case 'pointermove':
+            // A hovering mouse or pen only shows the mouse radius
+            if (!pointer) {
+                pointer = { x, y, slot: -1 };
+                pointers.set(event.pointerId, pointer);
+            }
+            pointer.x = x;
+            pointer.y = y;
+            break;
+
+        case 'pointerup':
+            // A mouse keeps hovering, pens and fingers are gone
+            if (pointer && event.pointerType === 'mouse') {
+                pointers.set(event.pointerId, { x, y, slot: -1 });
+            } else {
+                pointers.delete(event.pointerId);
+            }
+            break;
+
+        case 'pointercancel':
+        case 'pointerleave':
+            pointers.delete(event.pointerId);
+            break;
+    }
+
+    pointer = pointers.get(event.pointerId);
+    if (pointer?.slot >= 0 && mouseTool === 'paint') {
+        paintCircles(pointer);
+    }
     updateUniformsBuffer();
-    
+    updatePointerStatus();
+}
+
+// Pointers pressed on the canvas
+function pressedPointers() {
+    return [...pointers.values()].filter((pointer) => pointer.slot >= 0);
+}
+
+// Show the number of pressed pointers, and where a single one is
+function updatePointerStatus() {
+    updatePointerCursors();
+
     const mouseStatus = document.getElementById('mouse-status');
-    if (mouseStatus) {
-        if (isMouseDown) {
-            mouseStatus.textContent = `Mouse: (${Math.round(mousePosition.x)}, ${Math.round(mousePosition.y)})`;
-            mouseStatus.classList.add('active');
+    if (!mouseStatus) {
+        return;
+    }
+
+    const pressed = pressedPointers();
+    if (pressed.length === 1) {
+        mouseStatus.textContent = `Pointers: 1 at (${Math.round(pressed[0].x)}, ${Math.round(pressed[0].y)})`;
+    } else if (pressed.length > 1) {
+        mouseStatus.textContent = `Pointers: ${pressed.length} active`;
+    } else {
+        mouseStatus.textContent = 'Pointers: None';
+    }
+    mouseStatus.classList.toggle('active', pressed.length > 0);
+}
+
+// Show the mouse radius around every pointer over the canvas
+function updatePointerCursors() {
+    const cursors = document.getElementById('pointer-cursors');
+    if (!cursors) {
+        return;
+    }
+
+    const rect = htmlState.canvas.getBoundingClientRect();
+    const radius = physicsParams.mouse_radius;
+    const shown = obstacleTool === 'none' && emitterTool === 'none' ? [...pointers.values()] : [];
+    cursors.replaceChildren(...shown.map((pointer) => {
+        const cursor = document.createElement('div');
+        cursor.className = 'mouse-cursor';
+        cursor.style.left = `${rect.left + pointer.x - radius}px`;
+        cursor.style.top = `${rect.top + pointer.y - radius}px`;
+        cursor.style.width = `${radius * 2}px`;
+        cursor.style.height = `${radius * 2}px`;
+        cursor.dataset.tool = mouseTool;
+        return cursor;
+    }));
+}
+
+// Switch the mouse tool, letting go of anything the previous tool was doing
+function setMouseTool(tool) {
+    mouseTool = tool;
+    releasePointers();
+
+    const mouseToolSelect = document.getElementById('mouse-tool-select');
+    const mouseInstruction = document.getElementById('mouse-instruction');
+    if (mouseToolSelect) mouseToolSelect.value = tool;
+    if (mouseInstruction) mouseInstruction.textContent = MOUSE_TOOLS[tool].instruction;
+}
+
+// Forget all pointers, e.g. when the mouse switches tools
+function releasePointers() {
+    pointers.clear();
+    updateUniformsBuffer();
+    updatePointerStatus();
+}
+
+// Queue circles along the path of a pointer while painting, one every PAINT_SPACING pixels,
+// scattered within the mouse radius
+function paintCircles(pointer) {
+    const { paintPosition } = pointer;
+    const distance = paintPosition ? Math.hypot(pointer.x - paintPosition.x, pointer.y - paintPosition.y) : PAINT_SPACING;
+    if (distance < PAINT_SPACING) {
+        return;
+    }
+    pointer.paintPosition = { x: pointer.x, y: pointer.y };
+
+    const angle = Math.random() * Math.PI * 2;
+    const offset = Math.sqrt(Math.random()) * physicsParams.mouse_radius;
+    const x = Math.min(Math.max(pointer.x + Math.cos(angle) * offset, 0), htmlState.canvas.width);
+    const y = Math.min(Math.max(pointer.y + Math.sin(angle) * offset, 0), htmlState.canvas.height);
+    paintQueue.push(createCircle({ x, y, vx: 0, vy: 0 }, aliveCount + paintQueue.length, Math.random));
+}
+
+// Spread the movement of each pointer since the last simulated frame over its steps while dragging
+function updateDragOffsets(substeps) {
+    const pressed = pressedPointers();
+    if (mouseTool !== 'drag' || pressed.length === 0) {
+        return;
+    }
+
+    for (const pointer of pressed) {
+        pointer.dragOffset = {
+            x: (pointer.x - pointer.dragPosition.x) / substeps,
+            y: (pointer.y - pointer.dragPosition.y) / substeps,
+        };
+        pointer.dragPosition = { x: pointer.x, y: pointer.y };
+    }
+    updateUniformsBuffer();
+
+    // The uniforms of this frame grab the circles, later frames only move them
+    for (const pointer of pressed) {
+        pointer.isGrabPending = false;
+    }
+}
+
+// Draw, move and delete obstacles with the mouse depending on the obstacle tool
+function handleObstacleMouse(event) {
+    const rect = htmlState.canvas.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+
+    switch (event.type) {
+        case 'pointerdown':
+            if (obstacleTool === 'line') {
+                obstacleDraft = { type: 'line', points: [[x, y], [x, y]] };
+            } else if (obstacleTool === 'circle') {
+                obstacleDraft = { type: 'circle', center: [x, y], radius: MIN_OBSTACLE_SIZE };
+            } else if (obstacleTool === 'polygon') {
+                // The last point of the draft follows the mouse
+                if (!obstacleDraft) {
+                    obstacleDraft = { type: 'polygon', points: [[x, y], [x, y]] };
+                } else {
+                    const [firstX, firstY] = obstacleDraft.points[0];
+                    if (obstacleDraft.points.length > 3 && Math.hypot(x - firstX, y - firstY) <= POLYGON_CLOSE_DISTANCE) {
+                        finishPolygon();
+                        return;
+                    }
+                    // Fix the following point where clicked and start a new one
+                    obstacleDraft.points[obstacleDraft.points.length - 1] = [x, y];
+                    obstacleDraft.points.push([x, y]);
+                }
+            } else if (obstacleTool === 'move') {
+                const index = findObstacle(obstacles, x, y, OBSTACLE_PICK_TOLERANCE);
+                obstacleDrag = index >= 0 ? { index, x, y } : null;
+            } else if (obstacleTool === 'delete') {
+                const index = findObstacle(obstacles, x, y, OBSTACLE_PICK_TOLERANCE);
+                if (index >= 0) {
+                    obstacles.splice(index, 1);
+                }
+            }
+            break;
+
+        case 'pointermove':
+            if (obstacleDraft?.type === 'circle') {
+                obstacleDraft.radius = Math.max(Math.hypot(x - obstacleDraft.center[0], y - obstacleDraft.center[1]), MIN_OBSTACLE_SIZE);
+            } else if (obstacleDraft) {
+                obstacleDraft.points[obstacleDraft.points.length - 1] = [x, y];
+            } else if (obstacleDrag) {
+                const { index } = obstacleDrag;
+                obstacles[index] = translateObstacle(obstacles[index], x - obstacleDrag.x, y - obstacleDrag.y);
+                obstacleDrag = { index, x, y };
+            } else {
+                return;
+            }
+            break;
+
+        // Lines and circles are finished on release, polygons point by point
+        case 'pointerup':
+        case 'pointercancel':
+        case 'pointerleave':
+            obstacleDrag = null;
+            if (obstacleDraft && obstacleDraft.type !== 'polygon') {
+                const [startX, startY] = obstacleDraft.type === 'circle' ? obstacleDraft.center : obstacleDraft.points[0];
+                if (Math.hypot(x - startX, y - startY) >= MIN_OBSTACLE_SIZE) {
+                    addObstacle(obstacleDraft);
+                }
+                obstacleDraft = null;
+            }
+            break;
+
+        // Double-clicking closes a polygon
+        case 'dblclick':
+            if (obstacleDraft?.type === 'polygon') {
+                finishPolygon();
+                return;
+            }
+            break;
+    }
+
+    updateObstacleBuffer();
+}
+
+// Close the polygon being drawn, dropping the point following the mouse and repeated points
+function finishPolygon() {
+    const points = obstacleDraft.points.slice(0, -1).filter((point, i, all) =>
+        i === 0 || Math.hypot(point[0] - all[i - 1][0], point[1] - all[i - 1][1]) >= MIN_OBSTACLE_SIZE);
+    obstacleDraft = null;
+
+    if (points.length < 3) {
+        showErrorToast('A polygon needs at least 3 points');
+    } else {
+        addObstacle({ type: 'polygon', points });
+    }
+    updateObstacleBuffer();
+}
+
+// Add a finished obstacle unless it exceeds the obstacle budget
+function addObstacle(obstacle) {
+    if (flattenObstacles([...obstacles, obstacle]).length > MAX_OBSTACLE_CAPSULES) {
+        showErrorToast(`Obstacles are limited to ${MAX_OBSTACLE_CAPSULES} segments in total`);
+        return;
+    }
+    obstacles.push(obstacle);
+}
+
+// Switch the obstacle tool, dropping any unfinished obstacle
+function setObstacleTool(tool) {
+    obstacleTool = tool;
+    obstacleDraft = null;
+    obstacleDrag = null;
+    htmlState.canvas.classList.toggle('editing-obstacles', tool !== 'none');
+
+    // Stop the mouse tool when switching away from it
+    releasePointers();
+    updateObstacleBuffer();
+}
+
+// Place, move and delete emitters with the mouse depending on the emitter tool
+function handleEmitterMouse(event) {
+    const rect = htmlState.canvas.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+
+    switch (event.type) {
+        case 'pointerdown':
+            if (EMITTER_TYPES[emitterTool]) {
+                if (emitters.length >= MAX_EMITTERS) {
+                    showErrorToast(`At most ${MAX_EMITTERS} emitters can be placed`);
+                    return;
+                }
+                emitterDraft = createEmitter(emitterTool, emitterTool === 'point' ? [[x, y]] : [[x, y], [x, y]]);
+            } else if (emitterTool === 'move') {
+                const index = findEmitter(emitters, x, y, EMITTER_PICK_TOLERANCE);
+                emitterDrag = index >= 0 ? { index, x, y } : null;
+            } else if (emitterTool === 'delete') {
+                const index = findEmitter(emitters, x, y, EMITTER_PICK_TOLERANCE);
+                if (index >= 0) {
+                    emitters.splice(index, 1);
+                    updateEmittersUI();
+                }
+            }
+            break;
+
+        case 'pointermove':
+            if (emitterDraft && emitterDraft.type !== 'point') {
+                emitterDraft.points[1] = [x, y];
+            } else if (emitterDrag) {
+                const { index } = emitterDrag;
+                emitters[index] = translateEmitter(emitters[index], x - emitterDrag.x, y - emitterDrag.y);
+                emitterDrag = { index, x, y };
+            } else {
+                return;
+            }
+            break;
+
+        // Emitters are placed on release, lines and areas too small to see become points
+        case 'pointerup':
+        case 'pointercancel':
+        case 'pointerleave':
+            if (emitterDrag) {
+                emitterDrag = null;
+                updateEmittersUI();
+            }
+            if (emitterDraft) {
+                const [start] = emitterDraft.points;
+                if (emitterDraft.type !== 'point' && Math.hypot(x - start[0], y - start[1]) < MIN_EMITTER_SIZE) {
+                    emitterDraft = { ...emitterDraft, type: 'point', points: [start] };
+                }
+                emitters.push(emitterDraft);
+                emitterDraft = null;
+                updateEmittersUI();
+            }
+            break;
+    }
+
+    updateEmitterMarkers();
+}
+
+// Switch the emitter tool, dropping any emitter being placed
+function setEmitterTool(tool) {
+    emitterTool = tool;
+    emitterDraft = null;
+    emitterDrag = null;
+    htmlState.canvas.classList.toggle('editing-emitters', tool !== 'none');
+
+    // Stop the mouse tool when switching away from it
+    releasePointers();
+    updateEmitterMarkers();
+}
+
+// Add the circles each emitter is due for `simulatedTime` seconds to its backlog
+function queueEmitterSpawns(simulatedTime) {
+    for (const emitter of emitters) {
+        emitterBacklog.set(emitter, (emitterBacklog.get(emitter) ?? 0) + emitter.rate * simulatedTime);
+    }
+}
+
+// Take the whole circles out of the emitter backlogs and pack the emitters with their spawn tickets,
+// followed by the painted circles, each as a still point emitter spawning one circle
+// Returns the total number of circles to spawn and the number of packed emitters
+function takeEmitterSpawns() {
+    const counts = emitters.map((emitter) => {
+        const due = emitterBacklog.get(emitter) ?? 0;
+        const count = Math.floor(due);
+        emitterBacklog.set(emitter, due - count);
+        return count;
+    });
+
+    // Painted circles wait while the buffers are full, unless they cannot grow anymore
+    const free = Math.max(circleCapacity - aliveCount - counts.reduce((sum, count) => sum + count, 0), 0);
+    if (paintQueue.length > free && circleCapacity >= maxCircles()) {
+        paintQueue.splice(free);
+        if (!isPaintLimitShown) {
+            showErrorToast(`Painting stopped at the limit of ${maxCircles()} circles`);
+            isPaintLimitShown = true;
+        }
+    }
+    const painted = paintQueue.splice(0, Math.min(free, MAX_PAINT_SPAWNS)).map((circle) => ({
+        type: 'point',
+        points: [[circle.x, circle.y]],
+        speed: 0,
+        speedSpread: 0,
+        direction: 0,
+        spread: 0,
+        lifetime: 0,
+        species: circle.species,
+        color: [circle.r, circle.g, circle.b],
+        radius: circle.radius,
+        mass: circle.mass,
+    }));
+
+    spawnCount++;
+    const total = packEmitters([...emitters, ...painted], [...counts, ...painted.map(() => 1)], species, emitterData.view);
+    return { total, count: emitters.length + painted.length };
+}
+
+// Seed of the current spawn pass, derived from the simulation seed so emission varies between runs
+function spawnSeed() {
+    return (seed + Math.imul(spawnCount, 0x9e3779b9)) >>> 0;
+}
+
+// Grow the circle buffers when the emitters and painting are due more circles than there are free slots
+// after `simulatedTime`, before the steps are taken so they can wait for the larger buffers
+// Circles the emitters are due beyond maxCircles() are dropped
+function ensureCircleCapacity(simulatedTime) {
+    const due = emitters.reduce((sum, emitter) => {
+        return sum + Math.floor((emitterBacklog.get(emitter) ?? 0) + emitter.rate * simulatedTime);
+    }, paintQueue.length);
+    if (due > 0 && aliveCount + due > circleCapacity && circleCapacity < maxCircles()) {
+        growCircleCapacity(Math.min(Math.max(circleCapacity * 2, aliveCount + due), maxCircles()));
+    }
+}
+
+// Grow the circle buffers to `capacity` circles, the new slots start out removed so emitters can spawn into them
+// Unlike restarting, the circles and the rewind snapshots carry on, copied into larger buffers on the GPU
+async function growCircleCapacity(capacity) {
+    if (isGrowing || isSwitchingMode || isResizing || isRewinding) {
+        return;
+    }
+
+    try {
+        isGrowing = true;
+        const data = circleData;
+
+        // The worker must finish its step, the latest circle buffer then holds its last frame
+        if (!useGPU) {
+            await waitForCPUStep();
+        }
+
+        // A restart in the meantime already replaced the circles
+        if (circleData !== data) {
+            return;
+        }
+
+        circleData = createStructData(CIRCLE_LAYOUT, capacity, useSharedCircleData());
+        new Uint8Array(circleData.buffer).set(new Uint8Array(data.buffer));
+        circleCapacity = capacity;
+
+        // Zeroed buffers start out with every circle removed, the latest state is copied to the front
+        const previousBuffers = circleBuffers;
+        const latestBuffer = circleBuffers[circleBufferIndex];
+        createCircleStorage();
+        const encoder = gpuState.device.createCommandEncoder({ label: 'Grow circle buffers encoder' });
+        encoder.copyBufferToBuffer(latestBuffer, 0, circleBuffers[circleBufferIndex], 0, latestBuffer.size);
+        const previousRewindBuffers = resizeRewind(encoder);
+        gpuState.device.queue.submit([encoder.finish()]);
+        previousBuffers.forEach((circleBuffer) => circleBuffer.destroy());
+        previousRewindBuffers.forEach((buffer) => buffer.destroy());
+
+        createGridBuffers();
+        createBindGroups();
+        cpuWorkerLoaded = false;
+        updateEmitterStatus();
+        updatePlaybackUI();
+    } catch (error) {
+        showErrorToast(`Error growing circle buffers: ${error.message}`);
+        console.error('Grow circle buffers error:', error);
+    } finally {
+        isGrowing = false;
+    }
+}
+
+// Show how many circles are alive and how many fit into the circle buffers
+function updateEmitterStatus() {
+    const emitterStatus = document.getElementById('emitter-status');
+    if (emitterStatus) {
+        emitterStatus.textContent = `Circles: ${aliveCount} alive of ${circleCapacity}`;
+    }
+}
+
+// Show where the emitters and the one being placed are
+function updateEmitterMarkers() {
+    const markers = document.getElementById('emitter-markers');
+    if (!markers) {
+        return;
+    }
+
+    const rect = htmlState.canvas.getBoundingClientRect();
+    const shown = emitterDraft ? [...emitters, emitterDraft] : emitters;
+    markers.replaceChildren(...shown.map((emitter, i) => {
+        const marker = document.createElement('div');
+        marker.className = 'emitter-marker';
+        marker.dataset.type = emitter.type;
+        marker.classList.toggle('draft', emitter === emitterDraft);
+        marker.textContent = emitter === emitterDraft ? '' : i + 1;
+
+        const [[startX, startY], [endX, endY] = [startX, startY]] = emitter.points;
+        if (emitter.type === 'line') {
+            // A bar from the start, turned towards the end
+            marker.style.left = `${rect.left + startX}px`;
+            marker.style.top = `${rect.top + startY}px`;
+            marker.style.width = `${Math.hypot(endX - startX, endY - startY)}px`;
+            marker.style.transform = `rotate(${Math.atan2(endY - startY, endX - startX)}rad)`;
         } else {
-            mouseStatus.textContent = 'Mouse: None';
-            mouseStatus.classList.remove('active');
+            // Points are centred on their position by the style sheet
+            marker.style.left = `${rect.left + Math.min(startX, endX)}px`;
+            marker.style.top = `${rect.top + Math.min(startY, endY)}px`;
+            marker.style.width = `${Math.abs(endX - startX)}px`;
+            marker.style.height = `${Math.abs(endY - startY)}px`;
         }
+        return marker;
+    }));
+}
+
+// Build the settings of every emitter
+function updateEmittersUI() {
+    updateEmitterStatus();
+    updateEmitterMarkers();
+
+    const emitterList = document.getElementById('emitter-list');
+    if (!emitterList) {
+        return;
     }
+
+    const rows = emitters.map((emitter, i) => {
+        const row = document.createElement('div');
+        row.className = 'emitter-row';
+
+        const label = document.createElement('label');
+        label.textContent = `${i + 1}: ${EMITTER_TYPES[emitter.type].label}`;
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.id = `emitter-color-${i}`;
+        colorInput.value = colorToHex(emitter.color);
+        colorInput.setAttribute('aria-label', `Emitter ${i + 1} colour`);
+        colorInput.addEventListener('input', () => {
+            emitter.color = hexToColor(colorInput.value);
+        });
+
+        const speciesSelect = document.createElement('select');
+        speciesSelect.id = `emitter-species-${i}`;
+        speciesSelect.setAttribute('aria-label', `Emitter ${i + 1} species`);
+        species.forEach((_, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `Species ${index + 1}`;
+            speciesSelect.appendChild(option);
+        });
+        speciesSelect.value = Math.min(emitter.species, species.length - 1);
+        speciesSelect.addEventListener('change', () => {
+            emitter.species = parseInt(speciesSelect.value);
+        });
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'apply-button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => {
+            emitters.splice(emitters.indexOf(emitter), 1);
+            updateEmittersUI();
+        });
+
+        const numberInput = (name, text, min, max, step) => {
+            const field = document.createElement('label');
+            field.className = 'emitter-param';
+            field.textContent = text;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.id = `emitter-${name}-${i}`;
+            input.min = min;
+            input.max = max;
+            input.step = step;
+            input.value = emitter[name];
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (isNaN(value) || value < min || value > max) {
+                    showErrorToast(`${text} must be between ${min} and ${max}`);
+                    input.value = emitter[name];
+                    return;
+                }
+                emitter[name] = value;
+            });
+            field.appendChild(input);
+            return field;
+        };
+
+        const params = document.createElement('div');
+        params.className = 'emitter-params';
+        params.append(
+            numberInput('rate', 'Rate (/s)', 0, MAX_EMITTER_RATE, 1),
+            numberInput('lifetime', 'Lifetime (s)', 0, MAX_EMITTER_LIFETIME, 0.5),
+            numberInput('speed', 'Speed (px/s)', 0, MAX_EMITTER_SPEED, 10),
+            numberInput('speedSpread', 'Speed spread', 0, 1, 0.05),
+            numberInput('direction', 'Direction (°)', -360, 360, 5),
+            numberInput('spread', 'Spread (°)', 0, 360, 5)
+        );
+
+        row.append(label, colorInput, speciesSelect, removeButton, params);
+        return row;
+    });
+    emitterList.replaceChildren(...rows);
 }
 
 // Resize the canvas and update buffers
@@ -106,10 +1601,95 @@ function resizeCanvas() {
         updateUniformsBuffer();
     }
     
-    // Regenerate circles with new canvas dimensions
-    if (circleBuffer) {
-        generateCircles();
+    // Keep the circles, fitting them into the new canvas
+    if (circleBuffers.length > 0) {
+        fitCirclesToCanvas();
+    }
+    updateEmitterMarkers();
+
+    // Resize the grid to cover the new canvas
+    if (gridUniformsBuffer) {
+        createGridBuffers();
+        createBindGroups();
+    }
+}
+
+// Fit the current circle state into the canvas by clamping or rescaling positions
+// Resizes arriving while fitting are handled once the current one is done
+async function fitCirclesToCanvas() {
+    if (isResizing) {
+        isResizePending = true;
+        return;
+    }
+
+    try {
+        isResizing = true;
+        const data = circleData;
+
+        // Get the latest state, GPU state needs to be read back and the worker must finish its step
+        if (useGPU) {
+            try {
+                await readCircleBuffer();
+            } catch (error) {
+                // e.g. during device loss, fall back to the last state known to the CPU
+                console.warn('Circle readback failed, fitting the last known state:', error);
+            }
+        } else {
+            await waitForCPUStep();
+        }
+
+        // A restart in the meantime already spawned circles for the new canvas
+        if (circleData !== data) {
+            return;
+        }
+
+        const { width, height } = htmlState.canvas;
+        const scaleX = circleBounds.width > 0 ? width / circleBounds.width : 1;
+        const scaleY = circleBounds.height > 0 ? height / circleBounds.height : 1;
+        const positionOffset = CIRCLE_LAYOUT.fields.position.offset;
+        const radiusOffset = CIRCLE_LAYOUT.fields.radius.offset;
+
+        for (let i = 0; i < circleCapacity; i++) {
+            const byteOffset = i * CIRCLE_LAYOUT.size + positionOffset;
+            const radius = circleData.view.getFloat32(i * CIRCLE_LAYOUT.size + radiusOffset, true);
+            let x = circleData.view.getFloat32(byteOffset, true);
+            let y = circleData.view.getFloat32(byteOffset + 4, true);
+
+            if (resizeMode === 'rescale') {
+                x *= scaleX;
+                y *= scaleY;
+            }
+            x = Math.min(Math.max(x, radius), Math.max(width - radius, radius));
+            y = Math.min(Math.max(y, radius), Math.max(height - radius, radius));
+
+            circleData.view.setFloat32(byteOffset, x, true);
+            circleData.view.setFloat32(byteOffset + 4, y, true);
+        }
+        circleBounds = { width, height };
+
+        // Obstacles and emitters keep their place relative to the circles
+        if (resizeMode === 'rescale') {
+            obstacles = obstacles.map((obstacle) => scaleObstacle(obstacle, scaleX, scaleY));
+            updateObstacleBuffer();
+            emitters = emitters.map((emitter) => scaleEmitter(emitter, scaleX, scaleY));
+            updateEmittersUI();
+        }
+
         updateCircleBuffer();
+        cpuWorkerLoaded = false;
+
+        // Snapshots from before the resize no longer fit the canvas
+        resetRewind();
+    } catch (error) {
+        showErrorToast(`Error resizing simulation: ${error.message}`);
+        console.error('Resize simulation error:', error);
+    } finally {
+        isResizing = false;
+    }
+
+    if (isResizePending) {
+        isResizePending = false;
+        fitCirclesToCanvas();
     }
 }
   
@@ -118,7 +1698,7 @@ function createUniformsBuffer() {
     try {
         uniformsBuffer = gpuState.device.createBuffer({
             label: 'Uniform buffer',
-            size: 8 * 4, // resolution (width, height) (2 floats) + mouse position (2 floats) + is_mouse_down (1 int) + gravity direction (1 float) + padding (2 float)
+            size: UNIFORMS_SIZE,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
         });
         
@@ -133,17 +1713,35 @@ function createUniformsBuffer() {
 // Update uniforms buffer with current canvas resolution
 function updateUniformsBuffer() {
     try {
-        const uniformData = new Float32Array([
-            htmlState.canvas.width, 
-            htmlState.canvas.height,
-            mousePosition.x,
-            mousePosition.y,
-            isMouseDown ? 1.0 : 0.0,
-            gravityDirection,
-            0.0,
-            0.0
-        ]);
-        gpuState.device.queue.writeBuffer(uniformsBuffer, 0, uniformData);
+        // Pressed pointers in their slots, flagged in bit masks
+        const pointersView = new DataView(uniformsData.buffer, POINTERS_OFFSET);
+        let activePointers = 0;
+        let grabPointers = 0;
+        for (const pointer of pressedPointers()) {
+            writeStruct(pointersView, POINTER_LAYOUT, pointer.slot, {
+                position: [pointer.x, pointer.y],
+                drag_offset: [pointer.dragOffset.x, pointer.dragOffset.y],
+            });
+            activePointers |= 1 << pointer.slot;
+            grabPointers |= pointer.isGrabPending ? 1 << pointer.slot : 0;
+        }
+
+        writeStruct(uniformsData.view, UNIFORMS_LAYOUT, 0, {
+            resolution: [htmlState.canvas.width, htmlState.canvas.height],
+            gravity_direction: gravityDirection,
+            integrator: INTEGRATORS[integrator].id,
+            boundary_mode: BOUNDARY_MODES[boundaryMode].id,
+            num_obstacles: numObstacleCapsules,
+            mouse_tool: MOUSE_TOOLS[mouseTool].id,
+            active_pointers: activePointers,
+            grab_pointers: grabPointers,
+            collision_mode: COLLISION_MODES[collisionMode].id,
+            thermostat: THERMOSTATS[thermostat].id,
+        });
+        gpuState.device.queue.writeBuffer(uniformsBuffer, 0, uniformsData.buffer);
+
+        // The CPU simulation needs the same values
+        postCPUWorkerEnv();
     } catch (error) {
         showErrorToast(`Error updating uniform buffer: ${error.message}`);
         console.error('Uniform buffer update error:', error);
@@ -153,7 +1751,7 @@ function updateUniformsBuffer() {
 // Create vertex buffer for circle geometry
 function createVertexBuffer() {
     try {
-        // Create a single circle geometry (center + edge vertices)
+        // Create a unit circle geometry (center + edge vertices), scaled to each circle's radius by the vertex shader
         const vertices = [];
         
         // Center vertex
@@ -163,8 +1761,8 @@ function createVertexBuffer() {
         for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
             const angle = (i / CIRCLE_SEGMENTS) * Math.PI * 2;
             vertices.push(
-                Math.cos(angle) * CIRCLE_RADIUS,
-                Math.sin(angle) * CIRCLE_RADIUS
+                Math.cos(angle),
+                Math.sin(angle)
             );
         }
         
@@ -196,82 +1794,366 @@ function createVertexBuffer() {
         
         gpuState.device.queue.writeBuffer(indexBuffer, 0, indexData);
     } catch (error) {
-        showErrorToast(`Error creating vertex buffer: ${error.message}`);
-        console.error('Vertex buffer creation error:', error);
+        showErrorToast(`Error creating vertex buffer: ${error.message}`);
+        console.error('Vertex buffer creation error:', error);
+        throw error;
+    }
+}
+
+// Generate random circles
+function generateCircles() {
+    // All spawning randomness comes from the seed so restarts are reproducible
+    const random = createRandom(seed);
+    circleBounds = { width: htmlState.canvas.width, height: htmlState.canvas.height };
+
+    // Leave room for the largest circles of the largest species
+    const radius = maxCircleRadius();
+    const spawned = spawnCircles(spawnLayout, velocityProfile, num_circles, {
+        width: htmlState.canvas.width,
+        height: htmlState.canvas.height,
+        radius,
+        spacing: CIRCLE_SPAWN_RADIUS * radius / CIRCLE_RADIUS,
+        random,
+        params: spawnParams,
+        speed: spawnSpeed,
+    });
+
+    circles = spawned.map((circle, i) => createCircle(circle, i, random));
+}
+
+// Create circle `index` at a spawned position and velocity, cycling through the species
+function createCircle({ x, y, vx, vy, color }, index, random) {
+    // Random colour (0.5 to 1.0 per component) unless one is given,
+    // white with several species so the species colour shows
+    const [r, g, b] = color || (species.length > 1 ? [1, 1, 1] : [random() * 0.5 + 0.5, random() * 0.5 + 0.5, random() * 0.5 + 0.5]);
+
+    // Sizes spread around the species radius, mass grows with area so all circles of a species are equally dense
+    const circleSpecies = species[index % species.length];
+    const scale = SIZE_DISTRIBUTIONS[sizeDistribution].scale(random, sizeParams);
+    return {
+        x, y, vx, vy, ax: 0, ay: 0, r, g, b,
+        species: index % species.length,
+        radius: circleSpecies.radius * scale,
+        mass: circleSpecies.mass * scale * scale,
+        age: 0,
+        lifetime: 0,
+    };
+}
+
+// Create the pair of circle buffers and the buffers sized like them for `circleCapacity` circles
+function createCircleStorage() {
+    // The compute pass reads one buffer and writes the other, then they swap roles
+    circleBuffers = [0, 1].map((i) => gpuState.device.createBuffer({
+        label: `Circle buffer ${i}`,
+        size: circleCapacity * CIRCLE_LAYOUT.size,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+    }));
+    circleBufferIndex = 0;
+
+    // The movement pass writes the potential energy of every circle for the statistics
+    potentialsBuffer?.destroy();
+    potentialsBuffer = gpuState.device.createBuffer({
+        label: 'Potentials buffer',
+        size: circleCapacity * 4,
+        usage: GPUBufferUsage.STORAGE
+    });
+}
+
+// Create the pair of circle buffers for circle data, optionally keeping the current circles
+// `initialCircles` replaces spawning new circles, e.g. when loading a snapshot
+function createCircleBuffer(regenerate = true, initialCircles = null) {
+    try {
+        // New circles fill the buffers, otherwise the current circles keep their capacity
+        if (regenerate || !circleData) {
+            circleCapacity = num_circles;
+        }
+
+        // Snapshots of the previous circle buffers do not carry over
+        resetRewind();
+
+        createCircleStorage();
+
+        // Keep the existing circle data when recovering the same circles
+        if (regenerate || !circleData) {
+            circleData = createStructData(CIRCLE_LAYOUT, num_circles, useSharedCircleData());
+            if (initialCircles) {
+                circles = initialCircles;
+            } else {
+                generateCircles();
+            }
+            packCircles();
+            aliveCount = num_circles;
+        }
+        updateCircleBuffer();
+    } catch (error) {
+        showErrorToast(`Error creating circle buffer: ${error.message}`);
+        console.error('Circle buffer creation error:', error);
+        throw error;
+    }
+}
+
+// Pack generated circles into the circle data
+function packCircles() {
+    for (let i = 0; i < num_circles; i++) {
+        const circle = circles[i];
+        writeStruct(circleData.view, CIRCLE_LAYOUT, i, {
+            position: [circle.x, circle.y],
+            velocity: [circle.vx, circle.vy],
+            acceleration: [circle.ax, circle.ay],
+            color: [circle.r, circle.g, circle.b],
+            alive: circle.alive === false ? 0 : 1,
+            species: circle.species,
+            radius: circle.radius,
+            mass: circle.mass,
+            age: circle.age,
+            lifetime: circle.lifetime,
+        });
+    }
+
+    // The CPU simulation reloads from the new circle data
+    cpuWorkerLoaded = false;
+}
+
+// Update the latest circle buffer with current circle data
+function updateCircleBuffer() {
+    try {
+        gpuState.device.queue.writeBuffer(circleBuffers[circleBufferIndex], 0, circleData.buffer);
+    } catch (error) {
+        showErrorToast(`Error updating circle buffer: ${error.message}`);
+        console.error('Circle buffer update error:', error);
+    }
+}
+
+// Take a free staging buffer of `size` bytes from the pool
+// When every pooled buffer is waiting for a read, a one-off buffer is created instead of stalling
+function acquireStagingBuffer(size) {
+    // Buffers of a lost device cannot be used anymore
+    stagingBuffers = stagingBuffers.filter((entry) => entry.device === gpuState.device);
+
+    let entry = stagingBuffers.find((candidate) => !candidate.busy);
+    if (entry && entry.buffer.size !== size) {
+        // The number of circles changed since this buffer was created
+        entry.buffer.destroy();
+        stagingBuffers.splice(stagingBuffers.indexOf(entry), 1);
+        entry = null;
+    }
+
+    if (!entry) {
+        entry = {
+            buffer: gpuState.device.createBuffer({
+                label: 'Circle staging buffer',
+                size,
+                usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+            }),
+            device: gpuState.device,
+            busy: false
+        };
+        if (stagingBuffers.length < STAGING_POOL_SIZE) {
+            stagingBuffers.push(entry);
+        }
+    }
+
+    entry.busy = true;
+    return entry;
+}
+
+// Return a staging buffer to the pool, destroying it if it is not pooled
+function releaseStagingBuffer(entry) {
+    entry.busy = false;
+    if (!stagingBuffers.includes(entry)) {
+        entry.buffer.destroy();
+    }
+}
+
+// Copy the latest circle buffer into a staging buffer and resolve with a copy of its bytes
+async function readCircleBytes() {
+    const size = circleCapacity * CIRCLE_LAYOUT.size;
+    const entry = acquireStagingBuffer(size);
+
+    try {
+        const encoder = gpuState.device.createCommandEncoder({
+            label: 'Circle readback command encoder'
+        });
+        encoder.copyBufferToBuffer(circleBuffers[circleBufferIndex], 0, entry.buffer, 0, size);
+        gpuState.device.queue.submit([encoder.finish()]);
+
+        await entry.buffer.mapAsync(GPUMapMode.READ);
+        const bytes = entry.buffer.getMappedRange().slice(0);
+        entry.buffer.unmap();
+        return bytes;
+    } finally {
+        releaseStagingBuffer(entry);
+    }
+}
+
+// Decode packed circle data into circle objects
+function decodeCircles(buffer) {
+    const view = new DataView(buffer);
+    const count = buffer.byteLength / CIRCLE_LAYOUT.size;
+    const decoded = [];
+    for (let i = 0; i < count; i++) {
+        const { position, velocity, acceleration, color, alive, species: circleSpecies, radius, mass, age, lifetime } = readStruct(view, CIRCLE_LAYOUT, i);
+        decoded.push({
+            x: position[0], y: position[1],
+            vx: velocity[0], vy: velocity[1],
+            ax: acceleration[0], ay: acceleration[1],
+            r: color[0], g: color[1], b: color[2],
+            alive: alive !== 0,
+            species: circleSpecies,
+            radius,
+            mass,
+            age,
+            lifetime,
+        });
+    }
+    return decoded;
+}
+
+// Copy the latest circle buffer back into the circle data
+async function readCircleBuffer() {
+    const data = circleData;
+    const bytes = await readCircleBytes();
+
+    // Circle data replaced in the meantime (e.g. by a restart) is already newer
+    if (circleData === data) {
+        new Uint8Array(data.buffer).set(new Uint8Array(bytes));
+    }
+}
+
+// Read the latest circle buffer back into the circle data every BACKUP_INTERVAL of simulated time in GPU mode,
+// so device loss recovery restarts from a recent state rather than the initial spawn
+function backupCircleData(simulatedTime) {
+    backupClock += simulatedTime;
+    if (backupClock < BACKUP_INTERVAL || isBackupPending || isRecoveringDevice) {
+        return;
+    }
+    backupClock = 0;
+
+    isBackupPending = true;
+    readCircleBuffer()
+        .catch(error => console.warn('Circle data backup failed:', error))
+        .finally(() => {
+            isBackupPending = false;
+        });
+}
+
+// Read what the simulation last produced as circle objects { x, y, vx, vy, ax, ay, r, g, b, alive, species, radius, mass, age, lifetime }
+// Reads are asynchronous and use pooled staging buffers, so they can be issued every frame
+// From the devtools console: (await import('./particles.js')).readCircles()
+async function readCircles() {
+    const data = circleData;
+    const bytes = await readCircleBytes();
+
+    // In GPU mode this is newer than the circle data, keep it for device loss recovery
+    if (useGPU && circleData === data && !isSwitchingMode && !isResizing) {
+        new Uint8Array(data.buffer).set(new Uint8Array(bytes));
+    }
+
+    return decodeCircles(bytes);
+}
+
+// Create uniforms buffer for physics parameters
+function createPhysicsParamsBuffer() {
+    try {
+        physicsParamsBuffer = gpuState.device.createBuffer({
+            label: 'Physics parameters buffer',
+            size: PHYSICS_PARAMS_LAYOUT.size,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+
+        updatePhysicsParamsBuffer();
+    } catch (error) {
+        showErrorToast(`Error creating physics parameters buffer: ${error.message}`);
+        console.error('Physics parameters buffer creation error:', error);
         throw error;
     }
 }
 
-// Generate random circles
-function generateCircles() {
-    // We divide the canvas into a grid of circles and store whether each circle is occupied
-    const occupied = new Array(Math.floor(htmlState.canvas.width / CIRCLE_SPAWN_RADIUS))
-        .fill(false)
-        .map(() => new Array(Math.floor(htmlState.canvas.height / CIRCLE_SPAWN_RADIUS))
-            .fill(false)
-        );
-
-    circles = [];
-    
-    for (let i = 0; i < num_circles; i++) {
-        let x, y, gridX, gridY;
-        do {
-            gridX = Math.floor(Math.random() * occupied.length);
-            gridY = Math.floor(Math.random() * occupied[0].length);
-            x = gridX * CIRCLE_SPAWN_RADIUS + CIRCLE_RADIUS;
-            y = gridY * CIRCLE_SPAWN_RADIUS + CIRCLE_RADIUS;
-        } while (occupied[gridX] && occupied[gridX][gridY]);
-
-        const r = Math.random() * 0.5 + 0.5; // Random red component (0.5 to 1.0)
-        const g = Math.random() * 0.5 + 0.5; // Random green component (0.5 to 1.0)
-        const b = Math.random() * 0.5 + 0.5; // Random blue component (0.5 to 1.0)
-        
-        // Random velocity direction
-        const angle = Math.random() * Math.PI * 2;
-        const vx = Math.cos(angle) * SPEED;
-        const vy = Math.sin(angle) * SPEED;
-        const ax = 0;
-        const ay = 0;
+// Update physics parameters buffer with current parameter values
+function updatePhysicsParamsBuffer() {
+    try {
+        writeStruct(physicsParamsData.view, PHYSICS_PARAMS_LAYOUT, 0, physicsParams);
+        gpuState.device.queue.writeBuffer(physicsParamsBuffer, 0, physicsParamsData.buffer);
 
-        circles.push({ x, y, vx, vy, ax, ay, r, g, b });
+        // The grid cells follow the interaction cutoff
+        if (gridUniformsBuffer && neighbourCutoff() !== gridCutoff) {
+            createGridBuffers();
+            createBindGroups();
+        }
 
-        occupied[gridX][gridY] = true;
+        // The CPU simulation needs the same values
+        postCPUWorkerEnv();
+    } catch (error) {
+        showErrorToast(`Error updating physics parameters buffer: ${error.message}`);
+        console.error('Physics parameters buffer update error:', error);
     }
 }
 
-// Create circle buffer for circle data
-function createCircleBuffer() {
+// Create species buffer for the species and their interaction matrix
+function createSpeciesBuffer() {
     try {
-        circleBuffer = gpuState.device.createBuffer({
-            label: 'Circle buffer',
-            size: num_circles * 12 * 4, // position (2 floats) + velocity (2 floats) + acceleration (2 floats) + padding (2) + color (3 floats) + padding (1)
+        speciesBuffer = gpuState.device.createBuffer({
+            label: 'Species buffer',
+            size: SPECIES_TABLE_SIZE,
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
         });
 
-        generateCircles();
-        updateCircleBuffer();
+        updateSpeciesBuffer();
     } catch (error) {
-        showErrorToast(`Error creating circle buffer: ${error.message}`);
-        console.error('Circle buffer creation error:', error);
+        showErrorToast(`Error creating species buffer: ${error.message}`);
+        console.error('Species buffer creation error:', error);
         throw error;
     }
 }
 
-// Update circle buffer with current circle data
-function updateCircleBuffer() {
+// Update species buffer with the current species and interactions
+function updateSpeciesBuffer() {
     try {
-        const circleData = [];
-        
-        for (let i = 0; i < num_circles; i++) {
-            const circle = circles[i];
-            circleData.push(circle.x, circle.y, circle.vx, circle.vy, circle.ax, circle.ay, 0, 0, circle.r, circle.g, circle.b, 0);
+        speciesTableData = new DataView(new ArrayBuffer(SPECIES_TABLE_SIZE));
+        packSpeciesTable(species, interactions, speciesTableData);
+        if (speciesBuffer) {
+            gpuState.device.queue.writeBuffer(speciesBuffer, 0, speciesTableData.buffer);
         }
-        
-        const circleArray = new Float32Array(circleData);
-        gpuState.device.queue.writeBuffer(circleBuffer, 0, circleArray);
+
+        // The CPU simulation needs the same values
+        postCPUWorkerEnv();
     } catch (error) {
-        showErrorToast(`Error updating circle buffer: ${error.message}`);
-        console.error('Circle buffer update error:', error);
+        showErrorToast(`Error updating species buffer: ${error.message}`);
+        console.error('Species buffer update error:', error);
+    }
+}
+
+// Create uniforms buffer for the parameters of the stacked forces
+function createForceParamsBuffer() {
+    try {
+        forceParamsBuffer = gpuState.device.createBuffer({
+            label: 'Force parameters buffer',
+            size: FORCE_PARAMS_SIZE,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+
+        updateForceParamsBuffer();
+    } catch (error) {
+        showErrorToast(`Error creating force parameters buffer: ${error.message}`);
+        console.error('Force parameters buffer creation error:', error);
+        throw error;
+    }
+}
+
+// Update force parameters buffer with the parameters of the stacked forces
+function updateForceParamsBuffer() {
+    try {
+        forceParamsData = new DataView(new ArrayBuffer(FORCE_PARAMS_SIZE));
+        packForceParams(forces, forceParamsData);
+        if (forceParamsBuffer) {
+            gpuState.device.queue.writeBuffer(forceParamsBuffer, 0, forceParamsData.buffer);
+        }
+
+        // The CPU simulation needs the same values
+        postCPUWorkerEnv();
+    } catch (error) {
+        showErrorToast(`Error updating force parameters buffer: ${error.message}`);
+        console.error('Force parameters buffer update error:', error);
     }
 }
 
@@ -301,6 +2183,238 @@ function updateTimeBuffer(deltaTime) {
     }
 }
 
+// Create the obstacle buffer with room for the current obstacles and draft, at least MIN_OBSTACLE_CAPACITY capsules
+function createObstacleBuffer() {
+    try {
+        if (obstacleBuffer) {
+            obstacleBuffer.destroy();
+        }
+
+        const capsules = flattenObstacles(obstacleDraft ? [...obstacles, obstacleDraft] : obstacles).length;
+        obstacleCapacity = Math.max(2 ** Math.ceil(Math.log2(Math.max(capsules, 1))), MIN_OBSTACLE_CAPACITY);
+        obstacleBuffer = gpuState.device.createBuffer({
+            label: 'Obstacle buffer',
+            size: obstacleCapacity * OBSTACLE_LAYOUT.size,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+    } catch (error) {
+        showErrorToast(`Error creating obstacle buffer: ${error.message}`);
+        console.error('Obstacle buffer creation error:', error);
+        throw error;
+    }
+}
+
+// Pack the obstacles and the draft into capsules and upload them, growing the buffer when needed
+function updateObstacleBuffer() {
+    try {
+        const capsules = flattenObstacles(obstacles);
+        const draftCapsules = obstacleDraft ? flattenObstacles([obstacleDraft]) : [];
+        const count = capsules.length + draftCapsules.length;
+
+        obstacleData = createStructData(OBSTACLE_LAYOUT, Math.max(count, 1));
+        [...capsules, ...draftCapsules].forEach((capsule, i) => writeStruct(obstacleData.view, OBSTACLE_LAYOUT, i, capsule));
+        numObstacleCapsules = capsules.length;
+        numDraftCapsules = draftCapsules.length;
+
+        // The CPU simulation only needs the finished obstacles
+        postCPUWorkerObstacles();
+
+        if (!obstacleBuffer) {
+            return;
+        }
+        if (count > obstacleCapacity) {
+            createObstacleBuffer();
+            createBindGroups();
+        }
+        gpuState.device.queue.writeBuffer(obstacleBuffer, 0, obstacleData.buffer, 0, count * OBSTACLE_LAYOUT.size);
+        updateUniformsBuffer();
+    } catch (error) {
+        showErrorToast(`Error updating obstacle buffer: ${error.message}`);
+        console.error('Obstacle buffer update error:', error);
+    }
+}
+
+// Create the emitter, spawn parameter and counter buffers of the spawn pass
+function createEmitterBuffers() {
+    try {
+        emitterBuffer = gpuState.device.createBuffer({
+            label: 'Emitter buffer',
+            size: (MAX_EMITTERS + MAX_PAINT_SPAWNS) * EMITTER_LAYOUT.size,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        spawnParamsBuffer = gpuState.device.createBuffer({
+            label: 'Spawn parameters buffer',
+            size: SPAWN_PARAMS_LAYOUT.size,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        countersBuffer = gpuState.device.createBuffer({
+            label: 'Counters buffer',
+            size: COUNTERS_LAYOUT.size,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST
+        });
+        countersReadBuffer = gpuState.device.createBuffer({
+            label: 'Counters read buffer',
+            size: COUNTERS_LAYOUT.size,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+        });
+        isCountPending = false;
+    } catch (error) {
+        showErrorToast(`Error creating emitter buffers: ${error.message}`);
+        console.error('Emitter buffer creation error:', error);
+        throw error;
+    }
+}
+
+// Upload the emitters with their spawn tickets for this frame
+function updateEmitterBuffer({ total, count }) {
+    try {
+        writeStruct(spawnParamsData.view, SPAWN_PARAMS_LAYOUT, 0, {
+            num_emitters: count,
+            total,
+            seed: spawnSeed(),
+        });
+        gpuState.device.queue.writeBuffer(spawnParamsBuffer, 0, spawnParamsData.buffer);
+        if (count > 0) {
+            gpuState.device.queue.writeBuffer(emitterBuffer, 0, emitterData.buffer, 0, count * EMITTER_LAYOUT.size);
+        }
+    } catch (error) {
+        showErrorToast(`Error updating emitter buffer: ${error.message}`);
+        console.error('Emitter buffer update error:', error);
+    }
+}
+
+// Read back how many circles the last spawn pass counted alive
+async function readAliveCount() {
+    const buffer = countersReadBuffer;
+    isCountPending = true;
+
+    try {
+        await buffer.mapAsync(GPUMapMode.READ);
+        aliveCount = readStruct(new DataView(buffer.getMappedRange()), COUNTERS_LAYOUT, 0).alive;
+        buffer.unmap();
+        updateEmitterStatus();
+    } catch (error) {
+        // e.g. during device loss, a later frame counts again
+        console.warn('Reading the circle count failed:', error);
+    } finally {
+        if (buffer === countersReadBuffer) {
+            isCountPending = false;
+        }
+    }
+}
+
+// Create buffers for reducing the statistics
+function createStatsBuffers() {
+    try {
+        statsParamsBuffer = gpuState.device.createBuffer({
+            label: 'Stats parameters buffer',
+            size: STATS_PARAMS_LAYOUT.size,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        statsBuffer = gpuState.device.createBuffer({
+            label: 'Stats buffer',
+            size: STATS_SIZE,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+        });
+        statsReadBuffer = gpuState.device.createBuffer({
+            label: 'Stats read buffer',
+            size: STATS_SIZE,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+        });
+        isStatsPending = false;
+    } catch (error) {
+        showErrorToast(`Error creating stats buffers: ${error.message}`);
+        console.error('Stats buffer creation error:', error);
+        throw error;
+    }
+}
+
+// Create the buffer for the velocity scale of the rescaling thermostats
+function createThermostatBuffer() {
+    try {
+        thermostatScaleBuffer = gpuState.device.createBuffer({
+            label: 'Thermostat scale buffer',
+            size: 4,
+            usage: GPUBufferUsage.STORAGE
+        });
+    } catch (error) {
+        showErrorToast(`Error creating thermostat buffer: ${error.message}`);
+        console.error('Thermostat buffer creation error:', error);
+        throw error;
+    }
+}
+
+// Read the statistics of the last reduction back and add them as a sample
+async function readStatsBuffer(time, histogramMax) {
+    const buffer = statsReadBuffer;
+    isStatsPending = true;
+
+    try {
+        await buffer.mapAsync(GPUMapMode.READ);
+        const view = new DataView(buffer.getMappedRange());
+        const totals = readStruct(view, STATS_TOTALS_LAYOUT, 0);
+        totals.histogram = Array.from(new Uint32Array(view.buffer, HISTOGRAM_OFFSET, HISTOGRAM_BINS));
+        buffer.unmap();
+        addStatsSample(totals, time, histogramMax);
+    } catch (error) {
+        // e.g. during device loss, a later frame measures again
+        console.warn('Reading the statistics failed:', error);
+    } finally {
+        if (buffer === statsReadBuffer) {
+            isStatsPending = false;
+        }
+    }
+}
+
+// Create grid buffers for the spatial grid neighbour search
+function createGridBuffers() {
+    try {
+        // Destroy existing grid buffers
+        [gridUniformsBuffer, cellCountsBuffer, cellOffsetsBuffer, particleCellsBuffer, particleRanksBuffer, sortedIndicesBuffer]
+            .forEach((buffer) => buffer && buffer.destroy());
+
+        // Cover the canvas exactly with cells at least the size of the cutoff radius,
+        // so neighbouring cells also line up across the edges in periodic mode
+        gridCutoff = neighbourCutoff();
+        gridSize = {
+            x: Math.max(Math.floor(htmlState.canvas.width / neighbourCutoff()), 1),
+            y: Math.max(Math.floor(htmlState.canvas.height / neighbourCutoff()), 1),
+        };
+        const numCells = gridSize.x * gridSize.y;
+
+        gridUniformsBuffer = gpuState.device.createBuffer({
+            label: 'Grid uniforms buffer',
+            size: GRID_PARAMS_LAYOUT.size,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+
+        const gridParamsData = createStructData(GRID_PARAMS_LAYOUT);
+        writeStruct(gridParamsData.view, GRID_PARAMS_LAYOUT, 0, {
+            cell_size: [htmlState.canvas.width / gridSize.x, htmlState.canvas.height / gridSize.y],
+            grid_size: [gridSize.x, gridSize.y],
+            cutoff: neighbourCutoff(),
+            num_cells: numCells,
+        });
+        gpuState.device.queue.writeBuffer(gridUniformsBuffer, 0, gridParamsData.buffer);
+
+        // Per-cell and per-circle u32 arrays
+        const createIndexBuffer = (label, count) => gpuState.device.createBuffer({
+            label,
+            size: count * 4,
+            usage: GPUBufferUsage.STORAGE
+        });
+        cellCountsBuffer = createIndexBuffer('Cell counts buffer', numCells);
+        cellOffsetsBuffer = createIndexBuffer('Cell offsets buffer', numCells);
+        particleCellsBuffer = createIndexBuffer('Particle cells buffer', circleCapacity);
+        particleRanksBuffer = createIndexBuffer('Particle ranks buffer', circleCapacity);
+        sortedIndicesBuffer = createIndexBuffer('Sorted indices buffer', circleCapacity);
+    } catch (error) {
+        showErrorToast(`Error creating grid buffers: ${error.message}`);
+        console.error('Grid buffer creation error:', error);
+        throw error;
+    }
+}
+
 // Update function to render the circles
 let lastTime = 0;
 let fpsLastTime = 0;
@@ -324,13 +2438,53 @@ function update(currentTime = 0) {
         }
 
         // Run compute shader to update particle positions
-        // Cap delta time to prevent large jumps and ensure minimum time has passed
-        if (computePipeline && deltaTime > 0.001) {
-            const cappedDt = Math.min(deltaTime, 0.1);
-            if (useGPU) {
-                runComputeShader(cappedDt);
-            } else {
-                runCPUSimuation(cappedDt);
+        // Advance in fixed steps so the physics does not depend on the frame rate
+        if (computePipeline && !isSwitchingMode && !isResizing && !isRewinding && !isGrowing && deltaTime > 0) {
+            if (!isPaused) {
+                // Drop time we cannot catch up on instead of falling further behind every frame
+                stepAccumulator = Math.min(stepAccumulator + deltaTime, (maxSubsteps + 1) * fixedStep);
+            }
+
+            // Only single steps requested while paused are simulated
+            // Steps stay due until they are run, the CPU worker may still be busy with the previous ones
+            const substeps = isPaused
+                ? Math.min(pendingSteps, maxSubsteps)
+                : Math.min(Math.floor(stepAccumulator / fixedStep), maxSubsteps);
+            const isWorkerBusy = !useGPU && cpuStepPending;
+
+            // Emitters and painting due more circles than there are free slots wait for the buffers to grow,
+            // the steps stay due meanwhile
+            if ((substeps > 0 || paintQueue.length > 0) && !isWorkerBusy) {
+                ensureCircleCapacity(substeps * fixedStep);
+            }
+
+            // Painted circles are spawned even while paused, without stepping
+            if ((substeps > 0 || paintQueue.length > 0) && !isWorkerBusy && !isGrowing) {
+                if (isPaused) {
+                    pendingSteps -= substeps;
+                } else {
+                    stepAccumulator -= substeps * fixedStep;
+                }
+
+                if (substeps > 0) {
+                    queueEmitterSpawns(substeps * fixedStep);
+                    updateDragOffsets(substeps);
+                }
+
+                // Measure the statistics at the end of the frame every STATS_INTERVAL of simulated time
+                statsTime += substeps * fixedStep;
+                statsClock += substeps * fixedStep;
+                const measure = isStatsVisible && statsClock >= STATS_INTERVAL
+                    ? { time: statsTime, histogramMax: physicsParams.max_speed }
+                    : null;
+
+                if (useGPU) {
+                    runComputeShader(substeps, measure);
+                    backupCircleData(substeps * fixedStep);
+                } else {
+                    runCPUSimuation(substeps, measure);
+                }
+                captureRewindSnapshot(substeps * fixedStep);
             }
         }
 
@@ -391,8 +2545,62 @@ async function createRenderPipeline() {
             fragment: {
                 module: shaderModule,
                 entryPoint: 'fs_main',
+                // Blended so circles can fade out at the end of their lifetime
+                targets: [{
+                    format: navigator.gpu.getPreferredCanvasFormat(),
+                    blend: {
+                        color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha' },
+                        alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha' }
+                    }
+                }]
+            },
+            primitive: {
+                topology: 'triangle-list'
+            }
+        });
+    } catch (error) {
+        showErrorToast(`Error creating render pipeline: ${error.message}`);
+        console.error('Render pipeline creation error:', error);
+        throw error;
+    }
+}
+
+// Create render pipeline for drawing obstacles over the circles
+async function createObstaclePipeline() {
+    try {
+        // Load obstacle shader
+        const response = await fetch('obstacles.wgsl');
+        if (!response.ok) {
+            throw new Error(`Failed to load obstacle shader: ${response.status} ${response.statusText}`);
+        }
+        const obstacleShaderCode = await response.text();
+
+        // Create obstacle shader module
+        const obstacleShaderModule = gpuState.device.createShaderModule({
+            label: 'Obstacles shader',
+            code: obstacleShaderCode
+        });
+
+        validateShader(obstacleShaderCode);
+
+        // Create obstacle render pipeline, quads are generated from the vertex index
+        // and blended for antialiased edges
+        obstaclePipeline = gpuState.device.createRenderPipeline({
+            label: 'Obstacles render pipeline',
+            layout: 'auto',
+            vertex: {
+                module: obstacleShaderModule,
+                entryPoint: 'vs_main'
+            },
+            fragment: {
+                module: obstacleShaderModule,
+                entryPoint: 'fs_main',
                 targets: [{
-                    format: navigator.gpu.getPreferredCanvasFormat()
+                    format: navigator.gpu.getPreferredCanvasFormat(),
+                    blend: {
+                        color: { srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha' },
+                        alpha: { srcFactor: 'one', dstFactor: 'one-minus-src-alpha' }
+                    }
                 }]
             },
             primitive: {
@@ -400,42 +2608,227 @@ async function createRenderPipeline() {
             }
         });
     } catch (error) {
-        showErrorToast(`Error creating render pipeline: ${error.message}`);
-        console.error('Render pipeline creation error:', error);
+        showErrorToast(`Error creating obstacle pipeline: ${error.message}`);
+        console.error('Obstacle pipeline creation error:', error);
+        throw error;
+    }
+}
+
+// Create compute pipeline for particle movement
+async function createComputePipeline() {
+    try {
+        // Load compute shader
+        const response = await fetch('movement.wgsl');
+        if (!response.ok) {
+            throw new Error(`Failed to load compute shader: ${response.status} ${response.statusText}`);
+        }
+        // The stacked forces are generated into the shader, so it is rebuilt when they change
+        const computeShaderCode = await response.text() + generateForceWGSL(forces);
+
+        // Create compute shader module
+        const computeShaderModule = gpuState.device.createShaderModule({
+            label: 'Movement compute shader',
+            code: computeShaderCode
+        });
+
+        validateShader(computeShaderCode);
+
+        // Create compute pipeline
+        computePipeline = gpuState.device.createComputePipeline({
+            label: 'Movement compute pipeline',
+            layout: 'auto',
+            compute: {
+                module: computeShaderModule,
+                entryPoint: 'main'
+            }
+        });
+
+        // Create compute pipeline for the grid neighbour search
+        gridComputePipeline = gpuState.device.createComputePipeline({
+            label: 'Movement grid compute pipeline',
+            layout: 'auto',
+            compute: {
+                module: computeShaderModule,
+                entryPoint: 'main_grid'
+            }
+        });
+    } catch (error) {
+        showErrorToast(`Error creating compute pipeline: ${error.message}`);
+        console.error('Compute pipeline creation error:', error);
+        throw error;
+    }
+}
+
+// Create compute pipeline spawning emitted circles
+async function createSpawnPipeline() {
+    try {
+        // Load emitter shader
+        const response = await fetch('emitters.wgsl');
+        if (!response.ok) {
+            throw new Error(`Failed to load emitter shader: ${response.status} ${response.statusText}`);
+        }
+        const spawnShaderCode = await response.text();
+
+        // Create emitter shader module
+        const spawnShaderModule = gpuState.device.createShaderModule({
+            label: 'Emitters compute shader',
+            code: spawnShaderCode
+        });
+
+        validateShader(spawnShaderCode);
+
+        // Create spawn pipeline
+        spawnPipeline = gpuState.device.createComputePipeline({
+            label: 'Spawn compute pipeline',
+            layout: 'auto',
+            compute: {
+                module: spawnShaderModule,
+                entryPoint: 'spawn_circles'
+            }
+        });
+    } catch (error) {
+        showErrorToast(`Error creating spawn pipeline: ${error.message}`);
+        console.error('Spawn pipeline creation error:', error);
+        throw error;
+    }
+}
+
+// Create compute pipelines for the thermostats rescaling the velocities
+async function createThermostatPipelines() {
+    try {
+        // Load thermostat shader
+        const response = await fetch('thermostat.wgsl');
+        if (!response.ok) {
+            throw new Error(`Failed to load thermostat shader: ${response.status} ${response.statusText}`);
+        }
+        const thermostatShaderCode = await response.text();
+
+        // Create thermostat shader module
+        const thermostatShaderModule = gpuState.device.createShaderModule({
+            label: 'Thermostat compute shader',
+            code: thermostatShaderCode
+        });
+
+        validateShader(thermostatShaderCode);
+
+        // The passes use different subsets of the bindings, so they share an explicit layout
+        thermostatBindGroupLayout = gpuState.device.createBindGroupLayout({
+            label: 'Thermostat bind group layout',
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+                { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+                { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+                { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }
+            ]
+        });
+        const thermostatPipelineLayout = gpuState.device.createPipelineLayout({
+            label: 'Thermostat pipeline layout',
+            bindGroupLayouts: [thermostatBindGroupLayout]
+        });
+
+        // Create one pipeline per thermostat pass
+        for (const entryPoint of ['measure_temperature', 'rescale_velocities']) {
+            thermostatPipelines[entryPoint] = gpuState.device.createComputePipeline({
+                label: `Thermostat ${entryPoint} pipeline`,
+                layout: thermostatPipelineLayout,
+                compute: {
+                    module: thermostatShaderModule,
+                    entryPoint
+                }
+            });
+        }
+    } catch (error) {
+        showErrorToast(`Error creating thermostat pipelines: ${error.message}`);
+        console.error('Thermostat pipeline creation error:', error);
+        throw error;
+    }
+}
+
+// Create compute pipeline reducing the circles to their statistics
+async function createStatsPipeline() {
+    try {
+        // Load statistics shader
+        const response = await fetch('stats.wgsl');
+        if (!response.ok) {
+            throw new Error(`Failed to load stats shader: ${response.status} ${response.statusText}`);
+        }
+        const statsShaderCode = await response.text();
+
+        // Create statistics shader module
+        const statsShaderModule = gpuState.device.createShaderModule({
+            label: 'Stats compute shader',
+            code: statsShaderCode
+        });
+
+        validateShader(statsShaderCode);
+
+        // Create statistics pipeline
+        statsPipeline = gpuState.device.createComputePipeline({
+            label: 'Stats compute pipeline',
+            layout: 'auto',
+            compute: {
+                module: statsShaderModule,
+                entryPoint: 'reduce_stats'
+            }
+        });
+    } catch (error) {
+        showErrorToast(`Error creating stats pipeline: ${error.message}`);
+        console.error('Stats pipeline creation error:', error);
         throw error;
     }
 }
 
-// Create compute pipeline for particle movement
-async function createComputePipeline() {
+// Create compute pipelines for building the spatial grid
+async function createGridPipelines() {
     try {
-        // Load compute shader
-        const response = await fetch('movement.wgsl');
+        // Load grid shader
+        const response = await fetch('grid.wgsl');
         if (!response.ok) {
-            throw new Error(`Failed to load compute shader: ${response.status} ${response.statusText}`);
+            throw new Error(`Failed to load grid shader: ${response.status} ${response.statusText}`);
         }
-        const computeShaderCode = await response.text();
+        const gridShaderCode = await response.text();
 
-        // Create compute shader module
-        const computeShaderModule = gpuState.device.createShaderModule({
-            label: 'Movement compute shader',
-            code: computeShaderCode
+        // Create grid shader module
+        const gridShaderModule = gpuState.device.createShaderModule({
+            label: 'Grid compute shader',
+            code: gridShaderCode
         });
 
-        validateShader(computeShaderCode);
+        validateShader(gridShaderCode);
 
-        // Create compute pipeline
-        computePipeline = gpuState.device.createComputePipeline({
-            label: 'Movement compute pipeline',
-            layout: 'auto',
-            compute: {
-                module: computeShaderModule,
-                entryPoint: 'main'
-            }
+        // The passes use different subsets of the bindings, so they share an explicit layout
+        gridBindGroupLayout = gpuState.device.createBindGroupLayout({
+            label: 'Grid bind group layout',
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' } },
+                { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' } },
+                { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 5, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } },
+                { binding: 6, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' } }
+            ]
         });
+        const gridPipelineLayout = gpuState.device.createPipelineLayout({
+            label: 'Grid pipeline layout',
+            bindGroupLayouts: [gridBindGroupLayout]
+        });
+
+        // Create one pipeline per grid building pass
+        for (const entryPoint of ['clear_cells', 'count_cells', 'prefix_sum', 'scatter']) {
+            gridPipelines[entryPoint] = gpuState.device.createComputePipeline({
+                label: `Grid ${entryPoint} pipeline`,
+                layout: gridPipelineLayout,
+                compute: {
+                    module: gridShaderModule,
+                    entryPoint
+                }
+            });
+        }
     } catch (error) {
-        showErrorToast(`Error creating compute pipeline: ${error.message}`);
-        console.error('Compute pipeline creation error:', error);
+        showErrorToast(`Error creating grid pipelines: ${error.message}`);
+        console.error('Grid pipeline creation error:', error);
         throw error;
     }
 }
@@ -443,10 +2836,10 @@ async function createComputePipeline() {
 // Create bind groups for render and compute pipelines
 function createBindGroups() {
     try {
-        // Create render bind group
+        // Create render bind groups, one drawing from each circle buffer
         const bindGroupLayout = renderPipeline.getBindGroupLayout(0);
-        bindGroup = gpuState.device.createBindGroup({
-            label: 'Circles bind group',
+        bindGroups = circleBuffers.map((circleBuffer, i) => gpuState.device.createBindGroup({
+            label: `Circles bind group ${i}`,
             layout: bindGroupLayout,
             entries: [
                 {
@@ -456,14 +2849,18 @@ function createBindGroups() {
                 {
                     binding: 1,
                     resource: { buffer: circleBuffer }
+                },
+                {
+                    binding: 2,
+                    resource: { buffer: speciesBuffer }
                 }
             ]
-        });
+        }));
 
-        // Create compute bind group
+        // Create compute bind groups, one reading each circle buffer and writing the other
         const computeBindGroupLayout = computePipeline.getBindGroupLayout(0);
-        computeBindGroup = gpuState.device.createBindGroup({
-            label: 'Compute bind group',
+        computeBindGroups = circleBuffers.map((circleBuffer, i) => gpuState.device.createBindGroup({
+            label: `Compute bind group ${i}`,
             layout: computeBindGroupLayout,
             entries: [
                 {
@@ -477,8 +2874,118 @@ function createBindGroups() {
                 {
                     binding: 2,
                     resource: { buffer: timeBuffer }
+                },
+                {
+                    binding: 3,
+                    resource: { buffer: circleBuffers[1 - i] }
+                },
+                {
+                    binding: 8,
+                    resource: { buffer: physicsParamsBuffer }
+                },
+                {
+                    binding: 9,
+                    resource: { buffer: obstacleBuffer }
+                },
+                {
+                    binding: 10,
+                    resource: { buffer: speciesBuffer }
+                },
+                {
+                    binding: 11,
+                    resource: { buffer: forceParamsBuffer }
+                },
+                {
+                    binding: 12,
+                    resource: { buffer: potentialsBuffer }
                 }
             ]
+        }));
+
+        // Create grid building bind groups, one reading each circle buffer
+        gridBindGroups = circleBuffers.map((circleBuffer, i) => gpuState.device.createBindGroup({
+            label: `Grid bind group ${i}`,
+            layout: gridBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: gridUniformsBuffer } },
+                { binding: 1, resource: { buffer: circleBuffer } },
+                { binding: 2, resource: { buffer: cellCountsBuffer } },
+                { binding: 3, resource: { buffer: cellOffsetsBuffer } },
+                { binding: 4, resource: { buffer: particleCellsBuffer } },
+                { binding: 5, resource: { buffer: particleRanksBuffer } },
+                { binding: 6, resource: { buffer: sortedIndicesBuffer } }
+            ]
+        }));
+
+        // Create thermostat bind groups, one rescaling each circle buffer
+        thermostatBindGroups = circleBuffers.map((circleBuffer, i) => gpuState.device.createBindGroup({
+            label: `Thermostat bind group ${i}`,
+            layout: thermostatBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: uniformsBuffer } },
+                { binding: 1, resource: { buffer: timeBuffer } },
+                { binding: 2, resource: { buffer: physicsParamsBuffer } },
+                { binding: 3, resource: { buffer: circleBuffer } },
+                { binding: 4, resource: { buffer: thermostatScaleBuffer } }
+            ]
+        }));
+
+        // Create grid compute bind groups, like the compute bind groups plus the built grid
+        const gridComputeBindGroupLayout = gridComputePipeline.getBindGroupLayout(0);
+        gridComputeBindGroups = circleBuffers.map((circleBuffer, i) => gpuState.device.createBindGroup({
+            label: `Grid compute bind group ${i}`,
+            layout: gridComputeBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: uniformsBuffer } },
+                { binding: 1, resource: { buffer: circleBuffer } },
+                { binding: 2, resource: { buffer: timeBuffer } },
+                { binding: 3, resource: { buffer: circleBuffers[1 - i] } },
+                { binding: 4, resource: { buffer: gridUniformsBuffer } },
+                { binding: 5, resource: { buffer: cellOffsetsBuffer } },
+                { binding: 6, resource: { buffer: cellCountsBuffer } },
+                { binding: 7, resource: { buffer: sortedIndicesBuffer } },
+                { binding: 8, resource: { buffer: physicsParamsBuffer } },
+                { binding: 9, resource: { buffer: obstacleBuffer } },
+                { binding: 10, resource: { buffer: speciesBuffer } },
+                { binding: 11, resource: { buffer: forceParamsBuffer } },
+                { binding: 12, resource: { buffer: potentialsBuffer } }
+            ]
+        }));
+
+        // Create spawn bind groups, one spawning into each circle buffer
+        const spawnBindGroupLayout = spawnPipeline.getBindGroupLayout(0);
+        spawnBindGroups = circleBuffers.map((circleBuffer, i) => gpuState.device.createBindGroup({
+            label: `Spawn bind group ${i}`,
+            layout: spawnBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: spawnParamsBuffer } },
+                { binding: 1, resource: { buffer: circleBuffer } },
+                { binding: 2, resource: { buffer: emitterBuffer } },
+                { binding: 3, resource: { buffer: countersBuffer } }
+            ]
+        }));
+
+        // Create statistics bind groups, one reducing each circle buffer
+        const statsBindGroupLayout = statsPipeline.getBindGroupLayout(0);
+        statsBindGroups = circleBuffers.map((circleBuffer, i) => gpuState.device.createBindGroup({
+            label: `Stats bind group ${i}`,
+            layout: statsBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: statsParamsBuffer } },
+                { binding: 1, resource: { buffer: circleBuffer } },
+                { binding: 2, resource: { buffer: potentialsBuffer } },
+                { binding: 3, resource: { buffer: statsBuffer } }
+            ]
+        }));
+
+        // Create obstacle bind group
+        obstacleBindGroup = gpuState.device.createBindGroup({
+            label: 'Obstacles bind group',
+            layout: obstaclePipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: uniformsBuffer } },
+                { binding: 1, resource: { buffer: obstacleBuffer } }
+            ]
         });
     } catch (error) {
         showErrorToast(`Error creating bind groups: ${error.message}`);
@@ -512,214 +3019,1034 @@ function runRenderShader() {
         // Create render pass
         const renderPass = encoder.beginRenderPass(renderPassDescriptor);
         
-        // Set pipeline, bind group, vertex buffer, and index buffer
-        renderPass.setPipeline(renderPipeline);
-        renderPass.setBindGroup(0, bindGroup);
-        renderPass.setVertexBuffer(0, vertexBuffer);
-        renderPass.setIndexBuffer(indexBuffer, 'uint32');
+        // Set pipeline, bind group, vertex buffer, and index buffer
+        renderPass.setPipeline(renderPipeline);
+        renderPass.setBindGroup(0, bindGroups[circleBufferIndex]);
+        renderPass.setVertexBuffer(0, vertexBuffer);
+        renderPass.setIndexBuffer(indexBuffer, 'uint32');
+        
+        // Draw instanced circles using indexed triangles
+        // Each circle has CIRCLE_SEGMENTS triangles (3 indices each)
+        const indicesPerCircle = CIRCLE_SEGMENTS * 3;
+        renderPass.drawIndexed(indicesPerCircle, circleCapacity);
+
+        // Draw the obstacles and the one being drawn on top, one quad (6 vertices) per capsule
+        if (numObstacleCapsules + numDraftCapsules > 0) {
+            renderPass.setPipeline(obstaclePipeline);
+            renderPass.setBindGroup(0, obstacleBindGroup);
+            renderPass.draw(6, numObstacleCapsules + numDraftCapsules);
+        }
+        
+        // End render pass
+        renderPass.end();
+
+        // Submit commands
+        gpuState.device.queue.submit([encoder.finish()]);
+    } catch (error) {
+        showErrorToast(`Render shader error: ${error.message}`);
+        console.error('Render shader error:', error);
+    }
+}
+
+// Run compute shader to advance particle positions by `substeps` fixed steps
+function runComputeShader(substeps, measure = null) {
+    try {
+        // Update time buffer with the fixed step
+        updateTimeBuffer(fixedStep);
+
+        // Update the emitters with the circles they are due
+        updateEmitterBuffer(takeEmitterSpawns());
+
+        // Create command encoder
+        const encoder = gpuState.device.createCommandEncoder({
+            label: 'Compute command encoder'
+        });
+
+        // The spawn pass counts from zero
+        encoder.clearBuffer(countersBuffer);
+
+        // Create compute pass
+        const computePass = encoder.beginComputePass({
+            label: 'Movement compute pass'
+        });
+
+        const numWorkgroups = Math.ceil(circleCapacity / WORKGROUP_SIZE);
+
+        // Spawn emitted circles into removed ones and count the live circles
+        computePass.setPipeline(spawnPipeline);
+        computePass.setBindGroup(0, spawnBindGroups[circleBufferIndex]);
+        computePass.dispatchWorkgroups(numWorkgroups);
+
+        // Each substep reads the latest circle buffer and writes the other one
+        for (let step = 0; step < substeps; step++) {
+            if (THERMOSTATS[thermostat].rescales) {
+                // Rescale the velocities the step starts from towards the target temperature
+                computePass.setBindGroup(0, thermostatBindGroups[circleBufferIndex]);
+                computePass.setPipeline(thermostatPipelines.measure_temperature);
+                computePass.dispatchWorkgroups(1);
+                computePass.setPipeline(thermostatPipelines.rescale_velocities);
+                computePass.dispatchWorkgroups(numWorkgroups);
+            }
+
+            if (neighbourMode === 'grid') {
+                // Sort circles into grid cells before moving them
+                const numCellWorkgroups = Math.ceil(gridSize.x * gridSize.y / WORKGROUP_SIZE);
+                computePass.setBindGroup(0, gridBindGroups[circleBufferIndex]);
+                computePass.setPipeline(gridPipelines.clear_cells);
+                computePass.dispatchWorkgroups(numCellWorkgroups);
+                computePass.setPipeline(gridPipelines.count_cells);
+                computePass.dispatchWorkgroups(numWorkgroups);
+                computePass.setPipeline(gridPipelines.prefix_sum);
+                computePass.dispatchWorkgroups(1);
+                computePass.setPipeline(gridPipelines.scatter);
+                computePass.dispatchWorkgroups(numWorkgroups);
+
+                // Set grid compute pipeline and the bind group reading the latest circle buffer
+                computePass.setPipeline(gridComputePipeline);
+                computePass.setBindGroup(0, gridComputeBindGroups[circleBufferIndex]);
+            } else {
+                // Set compute pipeline and the bind group reading the latest circle buffer
+                computePass.setPipeline(computePipeline);
+                computePass.setBindGroup(0, computeBindGroups[circleBufferIndex]);
+            }
+
+            // Dispatch compute shader
+            computePass.dispatchWorkgroups(numWorkgroups);
+
+            // The output buffer now holds the latest state
+            circleBufferIndex = 1 - circleBufferIndex;
+        }
+
+        // Reduce the latest state to its statistics unless the previous read is still running
+        const readStats = measure && !isStatsPending;
+        if (readStats) {
+            writeStruct(statsParamsData.view, STATS_PARAMS_LAYOUT, 0, { histogram_max: measure.histogramMax });
+            gpuState.device.queue.writeBuffer(statsParamsBuffer, 0, statsParamsData.buffer);
+            computePass.setPipeline(statsPipeline);
+            computePass.setBindGroup(0, statsBindGroups[circleBufferIndex]);
+            computePass.dispatchWorkgroups(1);
+        }
+
+        // End compute pass
+        computePass.end();
+
+        // Read the live circle count back unless the previous read is still running
+        const readCount = !isCountPending;
+        if (readCount) {
+            encoder.copyBufferToBuffer(countersBuffer, 0, countersReadBuffer, 0, COUNTERS_LAYOUT.size);
+        }
+        if (readStats) {
+            encoder.copyBufferToBuffer(statsBuffer, 0, statsReadBuffer, 0, STATS_SIZE);
+        }
+
+        // Submit compute commands
+        gpuState.device.queue.submit([encoder.finish()]);
+        if (readCount) {
+            readAliveCount();
+        }
+        if (readStats) {
+            statsClock = 0;
+            readStatsBuffer(measure.time, measure.histogramMax);
+        }
+    } catch (error) {
+        showErrorToast(`Compute shader error: ${error.message}`);
+        console.error('Compute shader error:', error);
+    }
+}
+
+// Create the worker running the CPU simulation
+function createCPUWorker() {
+    cpuWorker = new Worker(new URL('./cpu_worker.js', import.meta.url), { type: 'module' });
+
+    cpuWorker.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'error') {
+            showErrorToast(`CPU simulation error: ${message.message}`);
+            console.error('CPU simulation error:', message.message);
+
+            abandonCPUStep();
+            return;
+        }
+
+        // Frame from the worker
+        cpuStepPending = false;
+
+        // Only keep a buffer of the current circle data to write into again, a stale frame's may have the old size
+        if (message.buffer && message.generation === cpuGeneration && message.buffer.byteLength === circleCapacity * CIRCLE_LAYOUT.size) {
+            cpuFrameBuffer = message.buffer;
+        }
+
+        // Ignore frames of replaced circle data or arriving after switching to GPU mode
+        if (!message.skipped && message.generation === cpuGeneration && !useGPU) {
+            // Shared circle data is written in place by the worker
+            if (message.buffer) {
+                new Uint8Array(circleData.buffer).set(new Uint8Array(message.buffer));
+            }
+            updateCircleBuffer();
+            aliveCount = message.alive;
+            updateEmitterStatus();
+            if (message.stats && statsRequest) {
+                addStatsSample(message.stats, statsRequest.time, statsRequest.histogramMax);
+                statsRequest = null;
+            }
+        }
+
+        // Let anyone waiting for this step continue
+        cpuStepWaiters.forEach((resolve) => resolve());
+        cpuStepWaiters = [];
+    };
+
+    cpuWorker.onerror = (event) => {
+        showErrorToast(`CPU worker error: ${event.message}`);
+        console.error('CPU worker error:', event);
+        abandonCPUStep();
+    };
+}
+
+// The worker state is unknown after an error, reload it on the next step and let anyone waiting continue
+function abandonCPUStep() {
+    cpuStepPending = false;
+    cpuWorkerLoaded = false;
+    cpuStepWaiters.forEach((resolve) => resolve());
+    cpuStepWaiters = [];
+}
+
+// Wait until the worker has answered its pending step, if any
+function waitForCPUStep() {
+    if (!cpuStepPending) {
+        return Promise.resolve();
+    }
+    return new Promise((resolve) => cpuStepWaiters.push(resolve));
+}
+
+// Send canvas size, mouse, gravity, integrator, boundary and collision modes, physics parameters, species and stacked forces
+// to the CPU simulation worker
+function postCPUWorkerEnv() {
+    if (!cpuWorker) {
+        return;
+    }
+
+    cpuWorker.postMessage({
+        type: 'env',
+        env: {
+            width: htmlState.canvas.width,
+            height: htmlState.canvas.height,
+            mouseTool: MOUSE_TOOLS[mouseTool].id,
+            pointers: pressedPointers().map((pointer) => ({
+                slot: pointer.slot,
+                x: pointer.x,
+                y: pointer.y,
+                dragX: pointer.dragOffset.x,
+                dragY: pointer.dragOffset.y,
+                grab: pointer.isGrabPending,
+            })),
+            gravityDirection,
+            integrator: INTEGRATORS[integrator].id,
+            boundaryMode: BOUNDARY_MODES[boundaryMode].id,
+            collisionMode: COLLISION_MODES[collisionMode].id,
+            thermostat: THERMOSTATS[thermostat].id,
+            params: physicsParams,
+            species: speciesArrays(species, interactions),
+            forces,
+            cutoff: neighbourMode === 'grid' ? neighbourCutoff() : Infinity,
+        }
+    });
+}
+
+// Send the finished obstacles to the CPU simulation worker
+function postCPUWorkerObstacles() {
+    if (!cpuWorker) {
+        return;
+    }
+
+    const buffer = obstacleData.buffer.slice(0, numObstacleCapsules * OBSTACLE_LAYOUT.size);
+    cpuWorker.postMessage({
+        type: 'obstacles',
+        count: numObstacleCapsules,
+        layout: OBSTACLE_LAYOUT,
+        buffer
+    }, [buffer]);
+}
+
+// Hand the latest circle data over to the CPU simulation worker
+function loadCPUWorker() {
+    cpuGeneration++;
+
+    // Shared circle data is passed as is, otherwise the worker gets its own copy
+    const buffer = circleData.buffer instanceof ArrayBuffer ? circleData.buffer.slice(0) : circleData.buffer;
+    cpuWorker.postMessage({
+        type: 'load',
+        generation: cpuGeneration,
+        count: circleCapacity,
+        layout: CIRCLE_LAYOUT,
+        buffer
+    }, buffer instanceof ArrayBuffer ? [buffer] : []);
+    cpuFrameBuffer = null;
+    cpuWorkerLoaded = true;
+
+    postCPUWorkerEnv();
+    postCPUWorkerObstacles();
+}
+
+// Run CPU simulation in the worker to advance particle positions by `substeps` fixed steps
+function runCPUSimuation(substeps, measure = null) {
+    try {
+        if (!cpuWorker) {
+            createCPUWorker();
+        }
+        if (!cpuWorkerLoaded) {
+            loadCPUWorker();
+        }
+
+        // update() only runs steps once the worker answered the previous ones
+        cpuStepPending = true;
+
+        // The worker measures the statistics after stepping
+        if (measure) {
+            statsClock = 0;
+            statsRequest = measure;
+        }
+
+        // Hand over the emitters with the circles they are due
+        const { total, count } = takeEmitterSpawns();
+        const spawn = total > 0 ? {
+            total,
+            seed: spawnSeed(),
+            count,
+            layout: EMITTER_LAYOUT,
+            buffer: emitterData.buffer.slice(0, count * EMITTER_LAYOUT.size)
+        } : null;
+
+        // Return the last frame's buffer so the worker can write into it again
+        const buffer = cpuFrameBuffer;
+        cpuFrameBuffer = null;
+        cpuWorker.postMessage({
+            type: 'step',
+            generation: cpuGeneration,
+            deltaTime: fixedStep,
+            substeps,
+            spawn,
+            measure: measure ? { histogramMax: measure.histogramMax } : null,
+            buffer
+        }, [buffer, spawn?.buffer].filter(Boolean));
+    } catch (error) {
+        showErrorToast(`CPU simulation error: ${error.message}`);
+        console.error('CPU simulation error:', error);
+    }
+}
+
+// Switch between GPU and CPU simulation, handing the circle state over without a jump
+async function toggleMode() {
+    if (isSwitchingMode || isResizing) {
+        return;
+    }
+
+    try {
+        isSwitchingMode = true;
+
+        if (useGPU) {
+            // Continue on the CPU from exactly what the GPU last produced
+            await readCircleBuffer();
+            cpuWorkerLoaded = false;
+        }
+        // The GPU continues from the last CPU frame already in the circle buffer
+
+        useGPU = !useGPU;
+        updateModeUI();
+    } catch (error) {
+        showErrorToast(`Error switching mode: ${error.message}`);
+        console.error('Switch mode error:', error);
+    } finally {
+        isSwitchingMode = false;
+    }
+}
+
+// Update the pause button and the rewind timeline
+function updatePlaybackUI() {
+    const pauseButton = document.getElementById('pause-button');
+    const rewindSlider = document.getElementById('rewind-slider');
+    const rewindStatus = document.getElementById('rewind-status');
+    if (pauseButton) pauseButton.textContent = isPaused ? 'Resume' : 'Pause';
+
+    const latest = Math.max(rewindCount - 1, 0);
+    const position = rewindPosition >= 0 ? rewindPosition : latest;
+    if (rewindSlider) {
+        rewindSlider.max = latest;
+        rewindSlider.value = position;
+        rewindSlider.disabled = rewindCount === 0;
+    }
+    if (rewindStatus) {
+        if (rewindCount === 0) {
+            rewindStatus.textContent = 'No history yet';
+        } else if (rewindPosition < 0) {
+            rewindStatus.textContent = `Live, ${(latest * REWIND_INTERVAL).toFixed(1)} s of history`;
+        } else {
+            rewindStatus.textContent = `${((latest - position) * REWIND_INTERVAL).toFixed(1)} s back`;
+        }
+    }
+}
+
+// Pause or resume the simulation
+// Resuming from a rewound snapshot drops the snapshots after it, the simulation continues from there
+function setPaused(paused) {
+    if (!paused) {
+        dropRewindFuture();
+    }
+    if (paused !== isPaused) {
+        pendingSteps = 0;
+        stepAccumulator = 0;
+    }
+    isPaused = paused;
+    updatePlaybackUI();
+}
+
+// Pause and advance the simulation by a single fixed step
+function stepSimulation() {
+    setPaused(true);
+    dropRewindFuture();
+    pendingSteps++;
+    updatePlaybackUI();
+}
+
+// Forget the snapshots after the one shown, continuing from it
+function dropRewindFuture() {
+    if (rewindPosition >= 0) {
+        rewindCount = rewindPosition + 1;
+        rewindPosition = -1;
+    }
+}
+
+// Drop all rewind snapshots, e.g. when the circle buffers are recreated
+// The ring holds REWIND_SECONDS of snapshots unless that would take more than MAX_REWIND_BYTES
+function resetRewind() {
+    rewindBuffers.forEach((buffer) => buffer.destroy());
+    rewindBuffers = [];
+    rewindCapacity = Math.min(Math.round(REWIND_SECONDS / REWIND_INTERVAL), Math.floor(MAX_REWIND_BYTES / (circleCapacity * CIRCLE_LAYOUT.size)));
+    rewindStart = 0;
+    rewindCount = 0;
+    rewindPosition = -1;
+    rewindClock = 0;
+    updatePlaybackUI();
+}
+
+// Copy the rewind snapshots into buffers for the grown `circleCapacity` with `encoder`, returning the previous buffers
+// The new slots of the snapshots start out removed, the oldest snapshots are dropped when fewer fit into MAX_REWIND_BYTES
+function resizeRewind(encoder) {
+    const previousBuffers = rewindBuffers;
+    const size = circleCapacity * CIRCLE_LAYOUT.size;
+    const capacity = Math.min(Math.round(REWIND_SECONDS / REWIND_INTERVAL), Math.floor(MAX_REWIND_BYTES / size));
+    const count = Math.min(rewindCount, capacity);
+    const dropped = rewindCount - count;
+
+    rewindBuffers = [];
+    for (let i = 0; i < count; i++) {
+        const previous = previousBuffers[(rewindStart + dropped + i) % rewindCapacity];
+        rewindBuffers[i] = gpuState.device.createBuffer({
+            label: `Rewind buffer ${i}`,
+            size,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+        });
+        encoder.copyBufferToBuffer(previous, 0, rewindBuffers[i], 0, previous.size);
+    }
+
+    rewindCapacity = capacity;
+    rewindStart = 0;
+    rewindCount = count;
+    if (rewindPosition >= 0) {
+        rewindPosition = Math.max(rewindPosition - dropped, 0);
+    }
+    return previousBuffers;
+}
+
+// Copy the latest circle buffer into the rewind ring every REWIND_INTERVAL of simulated time,
+// overwriting the oldest snapshot once the ring is full
+function captureRewindSnapshot(simulatedTime) {
+    rewindClock += simulatedTime;
+    if (rewindClock < REWIND_INTERVAL || rewindCapacity === 0) {
+        return;
+    }
+    rewindClock %= REWIND_INTERVAL;
+
+    try {
+        const index = (rewindStart + rewindCount) % rewindCapacity;
+        if (rewindCount === rewindCapacity) {
+            rewindStart = (rewindStart + 1) % rewindCapacity;
+        } else {
+            rewindCount++;
+        }
+
+        const size = circleCapacity * CIRCLE_LAYOUT.size;
+        if (!rewindBuffers[index]) {
+            rewindBuffers[index] = gpuState.device.createBuffer({
+                label: `Rewind buffer ${index}`,
+                size,
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+            });
+        }
+
+        const commandEncoder = gpuState.device.createCommandEncoder({ label: 'Rewind snapshot encoder' });
+        commandEncoder.copyBufferToBuffer(circleBuffers[circleBufferIndex], 0, rewindBuffers[index], 0, size);
+        gpuState.device.queue.submit([commandEncoder.finish()]);
+        updatePlaybackUI();
+    } catch (error) {
+        showErrorToast(`Error saving rewind snapshot: ${error.message}`);
+        console.error('Rewind snapshot error:', error);
+    }
+}
+
+// Pause and show a rewind snapshot, 0 being the oldest, by copying it into the latest circle buffer
+async function showRewindSnapshot(position) {
+    if (rewindCount === 0 || isSwitchingMode || isResizing) {
+        return;
+    }
+    if (isRewinding) {
+        pendingRewindPosition = position;
+        return;
+    }
+
+    try {
+        isRewinding = true;
+        setPaused(true);
+
+        // A step still running in the worker would overwrite the snapshot
+        if (!useGPU) {
+            await waitForCPUStep();
+        }
+
+        rewindPosition = Math.min(Math.max(position, 0), rewindCount - 1);
+        const index = (rewindStart + rewindPosition) % rewindCapacity;
+        const commandEncoder = gpuState.device.createCommandEncoder({ label: 'Rewind restore encoder' });
+        commandEncoder.copyBufferToBuffer(rewindBuffers[index], 0, circleBuffers[circleBufferIndex], 0, circleCapacity * CIRCLE_LAYOUT.size);
+        gpuState.device.queue.submit([commandEncoder.finish()]);
+        updatePlaybackUI();
+
+        // The circle data and the CPU simulation continue from the snapshot
+        await readCircleBuffer();
+        cpuWorkerLoaded = false;
+    } catch (error) {
+        showErrorToast(`Error rewinding simulation: ${error.message}`);
+        console.error('Rewind error:', error);
+    } finally {
+        isRewinding = false;
+    }
+
+    if (pendingRewindPosition >= 0) {
+        const nextPosition = pendingRewindPosition;
+        pendingRewindPosition = -1;
+        showRewindSnapshot(nextPosition);
+    }
+}
+
+// Show the snapshot before the one shown, or the latest one when showing the live state
+function stepBack() {
+    showRewindSnapshot(rewindPosition >= 0 ? Math.max(rewindPosition - 1, 0) : rewindCount - 1);
+}
+
+// Restart simulation with new number of circles and seed
+// An empty seed picks a new random one, `initialCircles` are used instead of spawning if given
+// Returns whether the simulation restarted, errors are shown rather than thrown
+async function restartSimulation(newNumCircles, newSeed = seed, initialCircles = null) {
+    try {
+        // Validate input
+        const numCircles = parseInt(newNumCircles);
+        if (isNaN(numCircles) || numCircles < 1 || numCircles > maxCircles()) {
+            showErrorToast(`Number of circles must be between 1 and ${maxCircles()}`);
+            return false;
+        }
+
+        const isSeedEmpty = newSeed === null || String(newSeed).trim() === '';
+        const parsedSeed = isSeedEmpty ? randomSeed() : parseSeed(newSeed);
+        if (parsedSeed === null) {
+            showErrorToast(`Seed must be a whole number between 0 and ${MAX_SEED}`);
+            return false;
+        }
+        
+        // Load whatever the spawn layout needs, e.g. image pixels
+        if (!initialCircles) {
+            await prepareSpawnLayout(spawnLayout, spawnParams);
+        }
+
+        // Update the variables
+        num_circles = numCircles;
+        seed = parsedSeed;
+        updateSeedUI();
+        
+        // Destroy existing circle buffers
+        circleBuffers.forEach((circleBuffer) => circleBuffer.destroy());
         
-        // Draw instanced circles using indexed triangles
-        // Each circle has CIRCLE_SEGMENTS triangles (3 indices each)
-        const indicesPerCircle = CIRCLE_SEGMENTS * 3;
-        renderPass.drawIndexed(indicesPerCircle, num_circles);
+        // Recreate circle buffers with new size
+        createCircleBuffer(true, initialCircles);
+
+        // Recreate grid buffers sized by the number of circles
+        createGridBuffers();
         
-        // End render pass
-        renderPass.end();
+        // Recreate both bind group pairs since the buffers changed
+        createBindGroups();
 
-        // Submit commands
-        gpuState.device.queue.submit([encoder.finish()]);
+        // The statistics start over with the new circles
+        resetStats();
+        
+        console.log(`Simulation restarted with ${num_circles} circles`);
+        return true;
     } catch (error) {
-        showErrorToast(`Render shader error: ${error.message}`);
-        console.error('Render shader error:', error);
+        showErrorToast(`Error restarting simulation: ${error.message}`);
+        console.error('Restart simulation error:', error);
+        return false;
     }
 }
 
-// Run compute shader to update particle positions
-function runComputeShader(deltaTime) {
+// Save the current simulation state as a 'json' or 'binary' snapshot file
+async function saveSnapshot(format) {
     try {
-        // Update time buffer with current delta time
-        updateTimeBuffer(deltaTime);
+        // Circles removed by an absorbing boundary are not saved
+        const aliveCircles = (await readCircles()).filter((circle) => circle.alive);
+        if (aliveCircles.length === 0) {
+            throw new Error('No circles left to save');
+        }
 
-        // Create command encoder
-        const encoder = gpuState.device.createCommandEncoder({
-            label: 'Compute command encoder'
+        const snapshot = createSnapshot(aliveCircles, {
+            gravityDirection,
+            seed,
+            bounds: circleBounds,
+            obstacles,
+            emitters,
+            physics: {
+                circleRadius: CIRCLE_RADIUS,
+                neighbourCutoff: neighbourCutoff(),
+                neighbourMode,
+                integrator,
+                fixedStep,
+                maxSubsteps,
+                boundaryMode,
+                collisionMode,
+                thermostat,
+                params: { ...physicsParams },
+                species,
+                interactions,
+                forces,
+            },
         });
 
-        // Create compute pass
-        const computePass = encoder.beginComputePass({
-            label: 'Movement compute pass'
-        });
+        const name = `particles-${seed}-${aliveCircles.length}`;
+        if (format === 'binary') {
+            downloadFile(encodeSnapshotBinary(snapshot), `${name}.bin`, 'application/octet-stream');
+        } else {
+            downloadFile(encodeSnapshotJSON(snapshot), `${name}.json`, 'application/json');
+        }
+    } catch (error) {
+        showErrorToast(`Error saving snapshot: ${error.message}`);
+        console.error('Save snapshot error:', error);
+    }
+}
 
-        // Set compute pipeline and bind group
-        computePass.setPipeline(computePipeline);
-        computePass.setBindGroup(0, computeBindGroup);
+// Add the statistics measured at simulated `time` as a sample and redraw the overlay
+function addStatsSample(totals, time, histogramMax) {
+    lastStatsTotals = { ...totals, histogramMax };
+    statsSamples.push(deriveSample(totals, time));
+    if (statsSamples.length > STATS_HISTORY) {
+        statsSamples.splice(0, statsSamples.length - STATS_HISTORY);
+    }
+    updateStatsOverlay();
+}
 
-        // Dispatch compute shader
-        const workgroupSize = gpuState.device.limits.maxComputeWorkgroupSizeX;
-        const numWorkgroups = Math.ceil(num_circles / workgroupSize);
-        computePass.dispatchWorkgroups(numWorkgroups);
+// Forget the samples, e.g. when the simulation restarts
+function resetStats() {
+    statsSamples = [];
+    lastStatsTotals = null;
+    statsTime = 0;
+    statsClock = 0;
+    updateStatsOverlay();
+}
 
-        // End compute pass
-        computePass.end();
+// Format a statistic for the overlay, keeping large and small values short
+function formatStat(value) {
+    const magnitude = Math.abs(value);
+    if (magnitude >= 1e5 || (magnitude > 0 && magnitude < 1e-2)) {
+        return value.toExponential(2);
+    }
+    return value.toFixed(magnitude >= 100 ? 0 : 2);
+}
 
-        // Submit compute commands
-        gpuState.device.queue.submit([encoder.finish()]);
+// Build the charts of the statistics overlay
+function createStatsOverlay() {
+    const overlay = document.getElementById('stats-overlay');
+    if (!overlay) {
+        return;
+    }
+
+    overlay.innerHTML = '';
+    const charts = [...STATS_CHARTS, { id: 'histogram', label: 'Speed vs Maxwell–Boltzmann', columns: [] }];
+    charts.forEach((chart) => {
+        const block = document.createElement('div');
+        block.className = 'stats-chart';
+
+        const title = document.createElement('div');
+        title.className = 'stats-chart-title';
+        const label = document.createElement('span');
+        label.textContent = chart.label;
+        const value = document.createElement('span');
+        value.id = `stats-value-${chart.id}`;
+        value.className = 'stats-value';
+        title.append(label, value);
+
+        const canvas = document.createElement('canvas');
+        canvas.id = `stats-chart-${chart.id}`;
+        canvas.width = 200;
+        canvas.height = 40;
+        block.append(title, canvas);
+        overlay.appendChild(block);
+    });
+}
+
+// Show the latest values and redraw the charts of the statistics overlay
+function updateStatsOverlay() {
+    if (!isStatsVisible) {
+        return;
+    }
+
+    const latest = statsSamples[statsSamples.length - 1];
+    STATS_CHARTS.forEach((chart) => {
+        const value = document.getElementById(`stats-value-${chart.id}`);
+        if (value) {
+            // One value per column, coloured like its line
+            value.replaceChildren(...chart.columns.map((column, c) => {
+                const span = document.createElement('span');
+                span.style.color = CHART_COLORS[c % CHART_COLORS.length];
+                span.textContent = latest ? formatStat(latest[column]) : '--';
+                return span;
+            }));
+            value.title = chart.columns.map((column) => STATS_COLUMNS[column].label).join(', ');
+        }
+        const canvas = document.getElementById(`stats-chart-${chart.id}`);
+        if (canvas) {
+            drawChart(canvas, statsSamples, chart.columns);
+        }
+    });
+
+    const histogramValue = document.getElementById('stats-value-histogram');
+    if (histogramValue) {
+        histogramValue.textContent = lastStatsTotals ? `0–${lastStatsTotals.histogramMax} px/s` : '--';
+    }
+    const histogramCanvas = document.getElementById('stats-chart-histogram');
+    if (histogramCanvas) {
+        const histogram = lastStatsTotals ? lastStatsTotals.histogram : new Array(HISTOGRAM_BINS).fill(0);
+        const expected = lastStatsTotals
+            ? maxwellBoltzmann(lastStatsTotals, lastStatsTotals.histogramMax)
+            : new Array(HISTOGRAM_BINS).fill(0);
+        drawHistogram(histogramCanvas, histogram, expected);
+    }
+}
+
+// Show or hide the statistics overlay, statistics are measured while it is shown
+function toggleStats() {
+    isStatsVisible = !isStatsVisible;
+    statsClock = STATS_INTERVAL; // Measure straight away
+
+    const overlay = document.getElementById('stats-overlay');
+    if (overlay) {
+        overlay.hidden = !isStatsVisible;
+    }
+    const toggleButton = document.getElementById('toggle-stats');
+    if (toggleButton) {
+        toggleButton.textContent = isStatsVisible ? 'Hide Statistics' : 'Show Statistics';
+    }
+    updateStatsOverlay();
+}
+
+// Download the sampled statistics as CSV
+function exportStats() {
+    try {
+        if (statsSamples.length === 0) {
+            showErrorToast('No statistics yet, show the statistics to start sampling');
+            return;
+        }
+        downloadFile(statsToCSV(statsSamples), `particles-stats-${seed}.csv`, 'text/csv');
     } catch (error) {
-        showErrorToast(`Compute shader error: ${error.message}`);
-        console.error('Compute shader error:', error);
+        showErrorToast(`Error exporting statistics: ${error.message}`);
+        console.error('Export statistics error:', error);
     }
 }
 
-function runCPUSimuation(deltaTime) {
+// Offer data as a file download
+function downloadFile(data, filename, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Settings a snapshot carries besides its circles
+function simulationSettings() {
+    return {
+        neighbourMode,
+        integrator,
+        fixedStep,
+        maxSubsteps,
+        boundaryMode,
+        collisionMode,
+        thermostat,
+        physicsParams,
+        species,
+        interactions,
+        forces,
+        gravityDirection,
+        obstacles,
+        emitters,
+    };
+}
+
+// Apply settings of simulationSettings() and show them in the controls
+async function applySimulationSettings(settings) {
+    neighbourMode = settings.neighbourMode;
+    integrator = settings.integrator;
+    fixedStep = settings.fixedStep;
+    maxSubsteps = settings.maxSubsteps;
+    boundaryMode = settings.boundaryMode;
+    collisionMode = settings.collisionMode;
+    thermostat = settings.thermostat;
+    const neighbourModeSelect = document.getElementById('neighbour-mode-select');
+    const integratorSelect = document.getElementById('integrator-select');
+    const fixedStepInput = document.getElementById('fixed-step-input');
+    const maxSubstepsInput = document.getElementById('max-substeps-input');
+    if (neighbourModeSelect) neighbourModeSelect.value = neighbourMode;
+    if (integratorSelect) integratorSelect.value = integrator;
+    if (fixedStepInput) fixedStepInput.value = (fixedStep * 1000).toFixed(2);
+    if (maxSubstepsInput) maxSubstepsInput.value = maxSubsteps;
+    const boundaryModeSelect = document.getElementById('boundary-mode-select');
+    if (boundaryModeSelect) boundaryModeSelect.value = boundaryMode;
+    const collisionModeSelect = document.getElementById('collision-mode-select');
+    if (collisionModeSelect) collisionModeSelect.value = collisionMode;
+    const thermostatSelect = document.getElementById('thermostat-select');
+    if (thermostatSelect) thermostatSelect.value = thermostat;
+    updateIntegratorUI();
+    physicsParams = settings.physicsParams;
+    updatePhysicsParamsUI();
+    species = settings.species;
+    interactions = settings.interactions;
+    updateSpeciesUI();
+    updateSpeciesBuffer();
+    forces = settings.forces;
+    await updateForceStack();
+    setGravityDirection(settings.gravityDirection);
+    obstacles = settings.obstacles;
+    obstacleDraft = null;
+    obstacleDrag = null;
+    updateObstacleBuffer();
+    emitters = settings.emitters;
+    emitterDraft = null;
+    emitterDrag = null;
+    updateEmittersUI();
+}
+
+// Load a snapshot file (JSON or binary) and continue the simulation from it
+async function loadSnapshotFile(file) {
     try {
-        const INTER_EPISILON = 100.0;
-        const INTER_SIGMA = CIRCLE_RADIUS * 8.0;
-        const MAX_ACCEL = 10000.0;
-        const MAX_SPEED = 1000.0;
-        const DAMPING = 0.999;
-        const MOUSE_RADIUS = CIRCLE_RADIUS * 50.0;
-        const GRAVITY = -9.81 * 1000.0;
+        const snapshot = decodeSnapshot(await file.arrayBuffer());
+        const { physics } = snapshot;
 
-        const width = htmlState.canvas.width;
-        const height = htmlState.canvas.height;
-        const n = Math.min(num_circles, circles.length);
-        const prev = circles;
-        const next = new Array(n);
+        // Check the settings against what this simulation supports
+        const snapshotSeed = parseSeed(snapshot.seed);
+        if (snapshotSeed === null) {
+            throw new Error(`Invalid seed: ${snapshot.seed}`);
+        }
+        if (!INTEGRATORS[physics.integrator]) {
+            throw new Error(`Unknown integrator: ${physics.integrator}`);
+        }
+        if (!(physics.fixedStep >= MIN_FIXED_STEP && physics.fixedStep <= MAX_FIXED_STEP)) {
+            throw new Error(`Invalid time step: ${physics.fixedStep}`);
+        }
+        if (!Number.isInteger(physics.maxSubsteps) || physics.maxSubsteps < 1 || physics.maxSubsteps > MAX_SUBSTEPS_LIMIT) {
+            throw new Error(`Invalid max substeps: ${physics.maxSubsteps}`);
+        }
+        if (physics.neighbourMode !== 'all-pairs' && physics.neighbourMode !== 'grid') {
+            throw new Error(`Unknown neighbour search: ${physics.neighbourMode}`);
+        }
+        // Snapshots saved before boundary modes existed used reflective walls
+        const snapshotBoundaryMode = physics.boundaryMode ?? 'reflective';
+        if (!BOUNDARY_MODES[snapshotBoundaryMode]) {
+            throw new Error(`Unknown boundary mode: ${physics.boundaryMode}`);
+        }
+        // Snapshots saved before collisions existed let circles overlap
+        const snapshotCollisionMode = physics.collisionMode ?? 'off';
+        if (!COLLISION_MODES[snapshotCollisionMode]) {
+            throw new Error(`Unknown collision mode: ${physics.collisionMode}`);
+        }
+        // Snapshots saved before thermostats existed only had the damping
+        const snapshotThermostat = physics.thermostat ?? 'off';
+        if (!THERMOSTATS[snapshotThermostat]) {
+            throw new Error(`Unknown thermostat: ${physics.thermostat}`);
+        }
+        if (snapshot.numCircles > maxCircles(useGPU, physics.neighbourMode)) {
+            throw new Error(`Snapshot has ${snapshot.numCircles} circles, this mode supports at most ${maxCircles(useGPU, physics.neighbourMode)}`);
+        }
+        // Snapshots saved before physics parameters were adjustable use the defaults
+        const params = { ...defaultPhysicsParams(), ...physics.params };
+        for (const [name, param] of Object.entries(PHYSICS_PARAMS)) {
+            if (typeof params[name] !== 'number' || !(params[name] >= param.min && params[name] <= param.max)) {
+                throw new Error(`Invalid ${param.label.toLowerCase()}: ${params[name]}`);
+            }
+        }
+        // Snapshots saved before species existed have a single plain species
+        const snapshotSpecies = physics.species ?? defaultSpecies(1, CIRCLE_RADIUS);
+        const snapshotInteractions = physics.interactions ?? defaultInteractions(snapshotSpecies.length);
+        validateSpecies(snapshotSpecies, snapshotInteractions);
+        // Snapshots saved before forces could be stacked have none
+        const snapshotForces = validateForces(physics.forces ?? []);
+        const circlesOfSnapshot = snapshotCircles(snapshot);
+        if (circlesOfSnapshot.some((circle) => circle.species >= snapshotSpecies.length)) {
+            throw new Error(`Snapshot circles refer to species beyond the ${snapshotSpecies.length} defined`);
+        }
+        // Circles of snapshots saved before circles had their own size take the size and mass of their species
+        for (const circle of circlesOfSnapshot) {
+            circle.radius ??= snapshotSpecies[circle.species].radius;
+            circle.mass ??= snapshotSpecies[circle.species].mass;
+        }
 
-        // Small epsilon to avoid division by zero
-        const EPS = 1e-5;
+        // Snapshots saved before obstacles existed have none
+        const snapshotObstacles = validateObstacles(snapshot.obstacles ?? []);
+        if (flattenObstacles(snapshotObstacles).length > MAX_OBSTACLE_CAPSULES) {
+            throw new Error(`Snapshot obstacles exceed ${MAX_OBSTACLE_CAPSULES} segments`);
+        }
+        // Snapshots saved before emitters existed have none
+        const snapshotEmitters = validateEmitters(snapshot.emitters ?? []);
+        if (physics.circleRadius !== CIRCLE_RADIUS) {
+            console.warn(`Snapshot was saved with circle radius ${physics.circleRadius}, simulating with ${CIRCLE_RADIUS}`);
+        }
 
-        for (let i = 0; i < n; i++) {
-            const c = prev[i];
-            let ax = 0.0, ay = 0.0;
+        // Restore the settings, going back to the current ones if the circles cannot be rebuilt
+        const previousSettings = simulationSettings();
+        await applySimulationSettings({
+            neighbourMode: physics.neighbourMode,
+            integrator: physics.integrator,
+            fixedStep: physics.fixedStep,
+            maxSubsteps: physics.maxSubsteps,
+            boundaryMode: snapshotBoundaryMode,
+            collisionMode: snapshotCollisionMode,
+            thermostat: snapshotThermostat,
+            physicsParams: params,
+            species: snapshotSpecies,
+            interactions: snapshotInteractions,
+            forces: snapshotForces,
+            gravityDirection: snapshot.gravityDirection,
+            obstacles: snapshotObstacles,
+            emitters: snapshotEmitters,
+        });
 
-            // Inter-particle forces (Lennard-Jones-like)
-            for (let j = 0; j < n; j++) {
-                if (j === i) continue;
-                const o = prev[j];
+        // Rebuild the buffers from the snapshot circles, then fit them to this canvas
+        const previousSeed = seed;
+        const previousNumCircles = num_circles;
+        if (!await restartSimulation(snapshot.numCircles, snapshotSeed, circlesOfSnapshot)) {
+            seed = previousSeed;
+            num_circles = previousNumCircles;
+            updateSeedUI();
+            await applySimulationSettings(previousSettings);
+            throw new Error('Could not rebuild the simulation from the snapshot circles');
+        }
+        circleBounds = { width: snapshot.bounds.width, height: snapshot.bounds.height };
+        if (circleBounds.width !== htmlState.canvas.width || circleBounds.height !== htmlState.canvas.height) {
+            fitCirclesToCanvas();
+        }
 
-                const dx = o.x - c.x;
-                const dy = o.y - c.y;
-                const distSq = dx * dx + dy * dy;
-                const dist = Math.sqrt(distSq);
-                if (dist <= CIRCLE_RADIUS * 2.0) continue;
+        showNoticeToast(`Loaded snapshot with ${snapshot.numCircles} circles`);
+    } catch (error) {
+        showErrorToast(`Error loading snapshot: ${error.message}`);
+        console.error('Load snapshot error:', error);
+    }
+}
 
-                const invDist = 1.0 / Math.max(dist, EPS);
-                const dirx = dx * invDist;
-                const diry = dy * invDist;
+// Create all buffers, pipelines and bind groups on the current device
+async function createGPUResources(regenerateCircles = true) {
+    // Configure context
+    configureContext();
 
-                const interTerm = INTER_SIGMA * invDist;
-                const weak = interTerm * interTerm * interTerm; // ^3
-                const strong = weak * weak; // ^6
-                const interForce = 4.0 * INTER_EPISILON * (strong - weak);
+    // Create uniform buffer
+    createUniformsBuffer();
+    
+    // Create vertex buffer (circle geometry)
+    createVertexBuffer();
+    
+    // Create circle buffer (circle data)
+    createCircleBuffer(regenerateCircles);
+    
+    // Create time buffer (delta time)
+    createTimeBuffer();
 
-                ax -= dirx * interForce;
-                ay -= diry * interForce;
-            }
+    // Create physics parameters buffer
+    createPhysicsParamsBuffer();
 
-            // Mouse interaction (attractive)
-            if (isMouseDown) {
-                const mdx = mousePosition.x - c.x;
-                const mdy = mousePosition.y - c.y;
-                const mdist = Math.sqrt(mdx * mdx + mdy * mdy);
-                const invMDist = 1.0 / Math.max(mdist, EPS);
-                const dirx = mdx * invMDist;
-                const diry = mdy * invMDist;
-                const term = MOUSE_RADIUS * invMDist;
-                const force = term * term * term * term * term * term; // ^6
-                ax -= dirx * force;
-                ay -= diry * force;
-            }
+    // Create species buffer
+    createSpeciesBuffer();
 
-            // Gravity (note: multiplied by deltaTime here to match WGSL)
-            ay += GRAVITY * gravityDirection * deltaTime;
+    // Create force parameters buffer
+    createForceParamsBuffer();
 
-            // Clamp acceleration
-            const aLen = Math.hypot(ax, ay);
-            if (aLen > MAX_ACCEL) {
-                const scale = MAX_ACCEL / aLen;
-                ax *= scale;
-                ay *= scale;
-            }
+    // Create grid buffers (spatial grid neighbour search)
+    createGridBuffers();
 
-            // Integrate velocity
-            let vx = c.vx + ax * deltaTime;
-            let vy = c.vy + ay * deltaTime;
+    // Create obstacle buffer
+    createObstacleBuffer();
 
-            // Clamp velocity
-            const vLen = Math.hypot(vx, vy);
-            if (vLen > MAX_SPEED) {
-                const scale = MAX_SPEED / vLen;
-                vx *= scale;
-                vy *= scale;
-            }
+    // Create emitter buffers (spawning)
+    createEmitterBuffers();
 
-            // Damping
-            vx *= DAMPING;
-            vy *= DAMPING;
+    // Create stats buffers (statistics overlay)
+    createStatsBuffers();
 
-            // Integrate position
-            let x = c.x + vx * deltaTime;
-            let y = c.y + vy * deltaTime;
+    // Create thermostat buffer (velocity scale)
+    createThermostatBuffer();
 
-            // Bounds and bounce
-            if (x - CIRCLE_RADIUS < 0.0) {
-                x = CIRCLE_RADIUS;
-                vx = -vx;
-            } else if (x + CIRCLE_RADIUS > width) {
-                x = width - CIRCLE_RADIUS;
-                vx = -vx;
-            }
-
-            if (y - CIRCLE_RADIUS < 0.0) {
-                y = CIRCLE_RADIUS;
-                vy = -vy;
-            } else if (y + CIRCLE_RADIUS > height) {
-                y = height - CIRCLE_RADIUS;
-                vy = -vy;
-            }
+    // Create render pipelines
+    await createRenderPipeline();
+    await createObstaclePipeline();
+    
+    // Create compute pipelines
+    await createComputePipeline();
+    await createGridPipelines();
+    await createSpawnPipeline();
+    await createStatsPipeline();
+    await createThermostatPipelines();
+    
+    // Create bind groups
+    createBindGroups();
 
-            next[i] = { x, y, vx, vy, ax, ay, r: c.r, g: c.g, b: c.b };
-        }
+    // Upload the obstacles kept across device loss
+    updateObstacleBuffer();
+}
 
-        // Swap and sync to GPU buffer
-        circles = next;
-        updateCircleBuffer();
-    } catch (error) {
-        showErrorToast(`CPU simulation error: ${error.message}`);
-        console.error('CPU simulation error:', error);
+// Recover from GPU device loss by rebuilding everything on a new device
+async function handleDeviceLost(info) {
+    if (isRecoveringDevice) {
+        return;
     }
-}
+    isRecoveringDevice = true;
 
-// Restart simulation with new number of circles
-async function restartSimulation(newNumCircles) {
-    try {
-        // Validate input
-        const numCircles = parseInt(newNumCircles);
-        if (isNaN(numCircles) || numCircles < 1 || numCircles > 2000) {
-            showErrorToast('Number of circles must be between 1 and 2000');
+    // Stop the update loop from touching resources of the lost device
+    renderPipeline = null;
+    computePipeline = null;
+
+    for (let attempt = 1; attempt <= MAX_DEVICE_RECOVERY_ATTEMPTS; attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, DEVICE_RECOVERY_DELAY));
+
+        try {
+            // Request a new device and rebuild resources from the last known circle state
+            await requestDevice(handleDeviceLost);
+            await createGPUResources(false);
+
+            isRecoveringDevice = false;
+            showNoticeToast('GPU reset, recovered');
+            console.log(`Recovered from device loss (${info.reason}) after ${attempt} attempt(s)`);
             return;
+        } catch (error) {
+            renderPipeline = null;
+            computePipeline = null;
+            console.warn(`Device recovery attempt ${attempt} failed:`, error);
         }
-        
-        // Update the variable
-        num_circles = numCircles;
-        
-        // Destroy existing circle buffer
-        if (circleBuffer) {
-            circleBuffer.destroy();
-        }
-        
-        // Recreate circle buffer with new size
-        createCircleBuffer();
-        
-        // Recreate bind groups since buffer changed
-        createBindGroups();
-        
-        console.log(`Simulation restarted with ${num_circles} circles`);
-    } catch (error) {
-        showErrorToast(`Error restarting simulation: ${error.message}`);
-        console.error('Restart simulation error:', error);
     }
+
+    isRecoveringDevice = false;
+    showErrorToast(`GPU device lost and could not be recovered after ${MAX_DEVICE_RECOVERY_ATTEMPTS} attempts. Reload the page to continue.`, true);
 }
 
 // Initialize WebGPU
@@ -732,31 +4059,13 @@ async function init() {
         }
         
         // Initialize device and context
-        await initDeviceAndContext();
+        await initDeviceAndContext(handleDeviceLost);
 
-        // Configure context
-        configureContext();
-
-        // Create uniform buffer
-        createUniformsBuffer();
-        
-        // Create vertex buffer (circle geometry)
-        createVertexBuffer();
-        
-        // Create circle buffer (circle data)
-        createCircleBuffer();
-        
-        // Create time buffer (delta time)
-        createTimeBuffer();
+        // Load what the spawn layout samples from, e.g. an image layout shared in the URL
+        await prepareSpawnLayout(spawnLayout, spawnParams);
 
-        // Create render pipeline
-        await createRenderPipeline();
-        
-        // Create compute pipeline
-        await createComputePipeline();
-        
-        // Create bind groups
-        createBindGroups();
+        // Create buffers, pipelines and bind groups
+        await createGPUResources();
         
         // Start render loop
         update();
@@ -776,6 +4085,17 @@ async function init() {
 document.addEventListener('DOMContentLoaded', () => {
     initElements();
     updateModeUI();
+    updateIntegratorUI();
+
+    // Take the starting state from the URL if given
+    readURLParams();
+    updateSeedUI();
+    updateSpawnParamsUI();
+    updateSizeParamsUI();
+    updatePhysicsParamsUI();
+    updateSpeciesUI();
+    updateForcesUI();
+    updateEmittersUI();
     
     // Add global error handlers
     window.addEventListener('error', (event) => {
@@ -791,12 +4111,14 @@ document.addEventListener('DOMContentLoaded', () => {
     // Add resize event listener
     window.addEventListener('resize', resizeCanvas);
 
-    // Add mouse event listeners
-    htmlState.canvas.addEventListener('mousemove', updateMousePosition);
-    htmlState.canvas.addEventListener('mousedown', updateMousePosition);
-    htmlState.canvas.addEventListener('mouseup', updateMousePosition);
-    htmlState.canvas.addEventListener('mouseleave', (event) => {
-        updateMousePosition(event, false);
+    // Add pointer event listeners, covering mice, pens and touch
+    for (const type of ['pointerdown', 'pointermove', 'pointerup', 'pointercancel', 'pointerleave']) {
+        htmlState.canvas.addEventListener(type, handlePointer);
+    }
+    htmlState.canvas.addEventListener('dblclick', (event) => {
+        if (obstacleTool !== 'none') {
+            handleObstacleMouse(event);
+        }
     });
 
     // Add spacebar event listener for gravity reversal
@@ -805,33 +4127,375 @@ document.addEventListener('DOMContentLoaded', () => {
             event.preventDefault();
             updateGravity();
         }
+
+        // K pauses and resumes, full stop steps forward and comma steps back, unless typing into a control
+        const isTyping = event.target instanceof HTMLElement && event.target.closest('input, select, textarea');
+        const hasModifier = event.ctrlKey || event.metaKey || event.altKey;
+        if (!isTyping && !hasModifier) {
+            if (event.key.toLowerCase() === 'k') {
+                setPaused(!isPaused);
+            } else if (event.key === '.') {
+                stepSimulation();
+            } else if (event.key === ',') {
+                stepBack();
+            }
+        }
+
+        // Enter closes the polygon being drawn, Escape drops it
+        if (obstacleDraft?.type === 'polygon' && event.key === 'Enter') {
+            finishPolygon();
+        } else if (obstacleDraft && event.key === 'Escape') {
+            obstacleDraft = null;
+            updateObstacleBuffer();
+        }
+
+        // Letter shortcuts pick a mouse tool, leaving obstacle and emitter editing, unless typing into a control
+        const tool = Object.keys(MOUSE_TOOLS).find((name) => MOUSE_TOOLS[name].key === event.key.toLowerCase());
+        if (tool && !isTyping && !hasModifier) {
+            if (obstacleTool !== 'none') {
+                setObstacleTool('none');
+                const obstacleToolSelect = document.getElementById('obstacle-tool-select');
+                if (obstacleToolSelect) obstacleToolSelect.value = 'none';
+            }
+            if (emitterTool !== 'none') {
+                setEmitterTool('none');
+                const emitterToolSelect = document.getElementById('emitter-tool-select');
+                if (emitterToolSelect) emitterToolSelect.value = 'none';
+            }
+            setMouseTool(tool);
+        }
     });
 
+    // Add event listeners for pausing, stepping and rewinding
+    const pauseButton = document.getElementById('pause-button');
+    const stepButton = document.getElementById('step-button');
+    const stepBackButton = document.getElementById('step-back-button');
+    const rewindSlider = document.getElementById('rewind-slider');
+    if (pauseButton) {
+        pauseButton.addEventListener('click', () => setPaused(!isPaused));
+    }
+    if (stepButton) {
+        stepButton.addEventListener('click', stepSimulation);
+    }
+    if (stepBackButton) {
+        stepBackButton.addEventListener('click', stepBack);
+    }
+    if (rewindSlider) {
+        rewindSlider.addEventListener('input', () => showRewindSnapshot(parseInt(rewindSlider.value)));
+    }
+
+    // Add event listener for the mouse tool
+    const mouseToolSelect = document.getElementById('mouse-tool-select');
+    if (mouseToolSelect) {
+        mouseToolSelect.addEventListener('change', () => setMouseTool(mouseToolSelect.value));
+    }
+
+    // Add event listeners for obstacle editing, which stops placing emitters
+    const obstacleToolSelect = document.getElementById('obstacle-tool-select');
+    const clearObstaclesButton = document.getElementById('clear-obstacles');
+    const emitterToolSelect = document.getElementById('emitter-tool-select');
+    if (obstacleToolSelect) {
+        obstacleToolSelect.addEventListener('change', () => {
+            if (obstacleToolSelect.value !== 'none' && emitterTool !== 'none') {
+                setEmitterTool('none');
+                if (emitterToolSelect) emitterToolSelect.value = 'none';
+            }
+            setObstacleTool(obstacleToolSelect.value);
+        });
+    }
+    if (clearObstaclesButton) {
+        clearObstaclesButton.addEventListener('click', () => {
+            obstacles = [];
+            obstacleDraft = null;
+            obstacleDrag = null;
+            updateObstacleBuffer();
+        });
+    }
+
+    // Add event listeners for emitter editing, which stops editing obstacles
+    const clearEmittersButton = document.getElementById('clear-emitters');
+    if (emitterToolSelect) {
+        emitterToolSelect.addEventListener('change', () => {
+            if (emitterToolSelect.value !== 'none' && obstacleTool !== 'none') {
+                setObstacleTool('none');
+                if (obstacleToolSelect) obstacleToolSelect.value = 'none';
+            }
+            setEmitterTool(emitterToolSelect.value);
+        });
+    }
+    if (clearEmittersButton) {
+        clearEmittersButton.addEventListener('click', () => {
+            emitters = [];
+            emitterDraft = null;
+            emitterDrag = null;
+            updateEmittersUI();
+        });
+    }
+
     // Add event listeners for circle controls
     const numCirclesInput = document.getElementById('num-circles-input');
+    const seedInput = document.getElementById('seed-input');
     const applyButton = document.getElementById('apply-circles');
     const toggleModeBtn = document.getElementById('toggle-mode');
     
-    if (numCirclesInput && applyButton) {
+    if (numCirclesInput && seedInput && applyButton) {
         applyButton.addEventListener('click', () => {
-            const newNumCircles = numCirclesInput.value;
-            restartSimulation(newNumCircles);
+            restartSimulation(numCirclesInput.value, seedInput.value);
         });
         
         // Allow applying with Enter key
-        numCirclesInput.addEventListener('keydown', (event) => {
-            if (event.key === 'Enter') {
-                event.preventDefault();
-                const newNumCircles = numCirclesInput.value;
-                restartSimulation(newNumCircles);
-            }
-        });
+        for (const input of [numCirclesInput, seedInput]) {
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter') {
+                    event.preventDefault();
+                    restartSimulation(numCirclesInput.value, seedInput.value);
+                }
+            });
+        }
     }
 
     if (toggleModeBtn) {
         toggleModeBtn.addEventListener('click', () => {
-            useGPU = !useGPU;
-            updateModeUI();
+            if (circleCapacity > maxCircles(!useGPU)) {
+                showErrorToast(`${useGPU ? 'CPU' : 'GPU'} mode supports at most ${maxCircles(!useGPU)} circles with this neighbour search`);
+                return;
+            }
+            toggleMode();
+        });
+    }
+
+    // Add event listener for neighbour search mode
+    const neighbourModeSelect = document.getElementById('neighbour-mode-select');
+    if (neighbourModeSelect) {
+        neighbourModeSelect.addEventListener('change', () => {
+            if (circleCapacity > maxCircles(useGPU, neighbourModeSelect.value)) {
+                showErrorToast(`This neighbour search supports at most ${maxCircles(useGPU, neighbourModeSelect.value)} circles`);
+                neighbourModeSelect.value = neighbourMode;
+                return;
+            }
+            neighbourMode = neighbourModeSelect.value;
+            postCPUWorkerEnv();
+        });
+    }
+
+    // Add event listeners for spawn controls
+    const spawnLayoutSelect = document.getElementById('spawn-layout-select');
+    const velocityProfileSelect = document.getElementById('velocity-profile-select');
+    const spawnSpeedInput = document.getElementById('spawn-speed-input');
+
+    if (spawnLayoutSelect) {
+        spawnLayoutSelect.addEventListener('change', () => {
+            spawnLayout = spawnLayoutSelect.value;
+            spawnParams = defaultSpawnParams(spawnLayout);
+            updateSpawnParamsUI();
+            restartSimulation(num_circles);
+        });
+    }
+
+    if (velocityProfileSelect) {
+        velocityProfileSelect.addEventListener('change', () => {
+            velocityProfile = velocityProfileSelect.value;
+            restartSimulation(num_circles);
+        });
+    }
+
+    if (spawnSpeedInput) {
+        spawnSpeedInput.addEventListener('change', () => {
+            const speed = parseFloat(spawnSpeedInput.value);
+            if (isNaN(speed) || speed < 0 || speed > MAX_SPAWN_SPEED) {
+                showErrorToast(`Initial speed must be between 0 and ${MAX_SPAWN_SPEED} px/s`);
+                spawnSpeedInput.value = spawnSpeed;
+                return;
+            }
+            spawnSpeed = speed;
+            restartSimulation(num_circles);
+        });
+    }
+
+    const sizeDistributionSelect = document.getElementById('size-distribution-select');
+    if (sizeDistributionSelect) {
+        sizeDistributionSelect.addEventListener('change', () => {
+            sizeDistribution = sizeDistributionSelect.value;
+            sizeParams = defaultSizeParams(sizeDistribution);
+            updateSizeParamsUI();
+            restartSimulation(num_circles);
+        });
+    }
+
+    // Add event listeners for species controls
+    const speciesCountInput = document.getElementById('species-count-input');
+    const randomiseMatrixButton = document.getElementById('randomise-matrix');
+    const resetMatrixButton = document.getElementById('reset-matrix');
+    if (speciesCountInput) {
+        speciesCountInput.addEventListener('change', () => setSpeciesCount(speciesCountInput.value));
+    }
+    if (randomiseMatrixButton) {
+        randomiseMatrixButton.addEventListener('click', () => {
+            interactions = randomInteractions(species.length, Math.random);
+            updateSpeciesUI();
+            updateSpeciesBuffer();
+        });
+    }
+    if (resetMatrixButton) {
+        resetMatrixButton.addEventListener('click', () => {
+            interactions = defaultInteractions(species.length);
+            updateSpeciesUI();
+            updateSpeciesBuffer();
+        });
+    }
+
+    // Add event listeners for stacking forces, offering every module of forces.js
+    const forceTypeSelect = document.getElementById('force-type-select');
+    const addForceButton = document.getElementById('add-force');
+    const clearForcesButton = document.getElementById('clear-forces');
+    if (forceTypeSelect) {
+        forceTypeSelect.replaceChildren(...Object.entries(FORCE_MODULES).map(([type, module]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = module.label;
+            return option;
+        }));
+    }
+    if (addForceButton && forceTypeSelect) {
+        addForceButton.addEventListener('click', () => {
+            if (forces.length >= MAX_FORCES) {
+                showErrorToast(`At most ${MAX_FORCES} forces can be stacked`);
+                return;
+            }
+            forces.push(createForce(forceTypeSelect.value));
+            updateForceStack();
+        });
+    }
+    if (clearForcesButton) {
+        clearForcesButton.addEventListener('click', () => {
+            forces = [];
+            updateForceStack();
+        });
+    }
+
+    // Add event listener for resetting physics parameters
+    const resetPhysicsButton = document.getElementById('reset-physics');
+    if (resetPhysicsButton) {
+        resetPhysicsButton.addEventListener('click', resetPhysicsParams);
+    }
+
+    // Add event listeners for the statistics overlay
+    const toggleStatsButton = document.getElementById('toggle-stats');
+    const exportStatsButton = document.getElementById('export-stats');
+    if (toggleStatsButton) {
+        toggleStatsButton.addEventListener('click', toggleStats);
+    }
+    if (exportStatsButton) {
+        exportStatsButton.addEventListener('click', exportStats);
+    }
+    createStatsOverlay();
+
+    // Add event listeners for snapshots
+    const saveJSONButton = document.getElementById('save-snapshot-json');
+    const saveBinaryButton = document.getElementById('save-snapshot-binary');
+    const loadSnapshotButton = document.getElementById('load-snapshot');
+    const snapshotFileInput = document.getElementById('snapshot-file-input');
+
+    if (saveJSONButton) {
+        saveJSONButton.addEventListener('click', () => saveSnapshot('json'));
+    }
+    if (saveBinaryButton) {
+        saveBinaryButton.addEventListener('click', () => saveSnapshot('binary'));
+    }
+    if (loadSnapshotButton && snapshotFileInput) {
+        loadSnapshotButton.addEventListener('click', () => snapshotFileInput.click());
+        snapshotFileInput.addEventListener('change', () => {
+            if (snapshotFileInput.files.length > 0) {
+                loadSnapshotFile(snapshotFileInput.files[0]);
+            }
+            // Allow loading the same file again
+            snapshotFileInput.value = '';
+        });
+    }
+
+    // Load snapshots dropped onto the canvas
+    htmlState.canvas.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    });
+    htmlState.canvas.addEventListener('drop', (event) => {
+        event.preventDefault();
+        if (event.dataTransfer.files.length > 0) {
+            loadSnapshotFile(event.dataTransfer.files[0]);
+        }
+    });
+
+    // Add event listener for resize behaviour
+    const resizeModeSelect = document.getElementById('resize-mode-select');
+    if (resizeModeSelect) {
+        resizeModeSelect.addEventListener('change', () => {
+            resizeMode = resizeModeSelect.value;
+        });
+    }
+
+    // Add event listener for the boundary mode, applied from the next step without restarting
+    const boundaryModeSelect = document.getElementById('boundary-mode-select');
+    if (boundaryModeSelect) {
+        boundaryModeSelect.addEventListener('change', () => {
+            boundaryMode = boundaryModeSelect.value;
+            updateUniformsBuffer();
+        });
+    }
+
+    // Add event listener for the collision mode, applied from the next step without restarting
+    const collisionModeSelect = document.getElementById('collision-mode-select');
+    if (collisionModeSelect) {
+        collisionModeSelect.addEventListener('change', () => {
+            collisionMode = collisionModeSelect.value;
+            updateUniformsBuffer();
+        });
+    }
+
+    // Add event listener for the thermostat, applied from the next step without restarting
+    const thermostatSelect = document.getElementById('thermostat-select');
+    if (thermostatSelect) {
+        thermostatSelect.addEventListener('change', () => {
+            thermostat = thermostatSelect.value;
+            updateUniformsBuffer();
+        });
+    }
+
+    // Add event listeners for integration controls
+    const integratorSelect = document.getElementById('integrator-select');
+    const fixedStepInput = document.getElementById('fixed-step-input');
+    const maxSubstepsInput = document.getElementById('max-substeps-input');
+
+    if (integratorSelect) {
+        integratorSelect.addEventListener('change', () => {
+            integrator = integratorSelect.value;
+            updateUniformsBuffer();
+            updateIntegratorUI();
+        });
+    }
+
+    if (fixedStepInput) {
+        fixedStepInput.addEventListener('change', () => {
+            const step = parseFloat(fixedStepInput.value) / 1000;
+            if (isNaN(step) || step < MIN_FIXED_STEP || step > MAX_FIXED_STEP) {
+                showErrorToast(`Time step must be between ${MIN_FIXED_STEP * 1000} and ${MAX_FIXED_STEP * 1000} ms`);
+                fixedStepInput.value = (fixedStep * 1000).toFixed(2);
+                return;
+            }
+            fixedStep = step;
+            updateIntegratorUI();
+        });
+    }
+
+    if (maxSubstepsInput) {
+        maxSubstepsInput.addEventListener('change', () => {
+            const substeps = parseInt(maxSubstepsInput.value);
+            if (isNaN(substeps) || substeps < 1 || substeps > MAX_SUBSTEPS_LIMIT) {
+                showErrorToast(`Max substeps must be between 1 and ${MAX_SUBSTEPS_LIMIT}`);
+                maxSubstepsInput.value = maxSubsteps;
+                return;
+            }
+            maxSubsteps = substeps;
+            updateIntegratorUI();
         });
     }
 
@@ -841,3 +4505,7 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize WebGPU
     init();
 });
+
+export {
+    readCircles
+};
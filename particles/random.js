@@ -0,0 +1,40 @@
+// Seeded pseudo-random number generation for reproducible particle spawning
+
+const MAX_SEED = 0xffffffff; // Seeds are unsigned 32-bit integers
+
+// Create a mulberry32 generator returning floats in [0, 1) for a 32-bit seed
+// The same seed always yields the same sequence, on every platform
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Pick a fresh seed when none is given
+function randomSeed() {
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+// Parse a seed from user input or the URL, returning null if it is not a valid seed
+function parseSeed(value) {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        return null;
+    }
+    const seed = Number(value);
+    if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+        return null;
+    }
+    return seed;
+}
+
+export {
+    MAX_SEED,
+    createRandom,
+    randomSeed,
+    parseSeed
+};
@@ -0,0 +1,235 @@
+// Versioned simulation snapshots as JSON or compact binary files
+// A snapshot is { version, numCircles, gravityDirection, seed, bounds, obstacles, emitters, physics, circles }
+// where circles holds flat arrays: position and velocity and acceleration (2 per circle), color (3 per circle),
+// species (1 per circle, since version 2), radius and mass (1 per circle, since version 3),
+// age and lifetime (1 per circle, since version 4, like the emitters)
+
+const SNAPSHOT_VERSION = 4;
+const SNAPSHOT_MAGIC = 'WGPS'; // First bytes of a binary snapshot
+const SNAPSHOT_FORMAT = 'webgpu-particles-snapshot'; // Format name of a JSON snapshot
+
+// Circle fields, their number of components and the version adding them, in the order they are stored in binary snapshots
+const CIRCLE_FIELDS = [
+    ['position', 2, 1],
+    ['velocity', 2, 1],
+    ['acceleration', 2, 1],
+    ['color', 3, 1],
+    ['species', 1, 2],
+    ['radius', 1, 3],
+    ['mass', 1, 3],
+    ['age', 1, 4],
+    ['lifetime', 1, 4],
+];
+
+// Circle fields stored in a snapshot of the given version
+function circleFields(version) {
+    return CIRCLE_FIELDS.filter(([, , since]) => since <= version);
+}
+
+// Build a snapshot from circle objects { x, y, vx, vy, ax, ay, r, g, b, species, radius, mass, age, lifetime } and simulation settings
+function createSnapshot(circles, settings) {
+    return {
+        version: SNAPSHOT_VERSION,
+        numCircles: circles.length,
+        gravityDirection: settings.gravityDirection,
+        seed: settings.seed,
+        bounds: settings.bounds,
+        obstacles: settings.obstacles,
+        emitters: settings.emitters,
+        physics: settings.physics,
+        circles: {
+            position: Float32Array.from(circles.flatMap((circle) => [circle.x, circle.y])),
+            velocity: Float32Array.from(circles.flatMap((circle) => [circle.vx, circle.vy])),
+            acceleration: Float32Array.from(circles.flatMap((circle) => [circle.ax, circle.ay])),
+            color: Float32Array.from(circles.flatMap((circle) => [circle.r, circle.g, circle.b])),
+            species: Float32Array.from(circles, (circle) => circle.species),
+            radius: Float32Array.from(circles, (circle) => circle.radius),
+            mass: Float32Array.from(circles, (circle) => circle.mass),
+            age: Float32Array.from(circles, (circle) => circle.age),
+            lifetime: Float32Array.from(circles, (circle) => circle.lifetime),
+        },
+    };
+}
+
+// Turn a snapshot back into circle objects { x, y, vx, vy, ax, ay, r, g, b, species, radius, mass, age, lifetime }
+// Circles of snapshots without species are of the first species, without lifetimes they live for ever,
+// radius and mass are undefined for snapshots without them so the species defaults can be used
+function snapshotCircles(snapshot) {
+    const { position, velocity, acceleration, color, species, radius, mass, age, lifetime } = snapshot.circles;
+    const circles = [];
+    for (let i = 0; i < snapshot.numCircles; i++) {
+        circles.push({
+            x: position[i * 2], y: position[i * 2 + 1],
+            vx: velocity[i * 2], vy: velocity[i * 2 + 1],
+            ax: acceleration[i * 2], ay: acceleration[i * 2 + 1],
+            r: color[i * 3], g: color[i * 3 + 1], b: color[i * 3 + 2],
+            species: species ? species[i] : 0,
+            radius: radius?.[i],
+            mass: mass?.[i],
+            age: age ? age[i] : 0,
+            lifetime: lifetime ? lifetime[i] : 0,
+        });
+    }
+    return circles;
+}
+
+// Everything but the circle data, shared by both encodings
+function snapshotHeader(snapshot) {
+    return {
+        format: SNAPSHOT_FORMAT,
+        version: snapshot.version,
+        numCircles: snapshot.numCircles,
+        gravityDirection: snapshot.gravityDirection,
+        seed: snapshot.seed,
+        bounds: snapshot.bounds,
+        obstacles: snapshot.obstacles,
+        emitters: snapshot.emitters,
+        physics: snapshot.physics,
+    };
+}
+
+// Encode a snapshot as human-readable JSON
+function encodeSnapshotJSON(snapshot) {
+    const circles = {};
+    for (const [field] of CIRCLE_FIELDS) {
+        circles[field] = Array.from(snapshot.circles[field]);
+    }
+    return JSON.stringify({ ...snapshotHeader(snapshot), circles });
+}
+
+// Encode a snapshot as binary: magic, header length (u32), JSON header, padding to 4 bytes, then
+// the f32 circle fields one after another in CIRCLE_FIELDS order, all little-endian
+function encodeSnapshotBinary(snapshot) {
+    const header = new TextEncoder().encode(JSON.stringify(snapshotHeader(snapshot)));
+    const dataOffset = Math.ceil((8 + header.length) / 4) * 4;
+    const floatCount = CIRCLE_FIELDS.reduce((sum, [, components]) => sum + components * snapshot.numCircles, 0);
+
+    const buffer = new ArrayBuffer(dataOffset + floatCount * 4);
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    bytes.set(new TextEncoder().encode(SNAPSHOT_MAGIC), 0);
+    view.setUint32(4, header.length, true);
+    bytes.set(header, 8);
+
+    let offset = dataOffset;
+    for (const [field] of CIRCLE_FIELDS) {
+        for (const value of snapshot.circles[field]) {
+            view.setFloat32(offset, value, true);
+            offset += 4;
+        }
+    }
+    return buffer;
+}
+
+// Check a snapshot read from a file, throwing an error describing the first problem found
+function validateSnapshot(snapshot) {
+    if (typeof snapshot !== 'object' || snapshot === null) {
+        throw new Error('Snapshot is not an object');
+    }
+    if (snapshot.format !== SNAPSHOT_FORMAT) {
+        throw new Error('Not a particle snapshot file');
+    }
+    if (!Number.isInteger(snapshot.version) || snapshot.version < 1 || snapshot.version > SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version ${snapshot.version}, expected at most ${SNAPSHOT_VERSION}`);
+    }
+    if (!Number.isInteger(snapshot.numCircles) || snapshot.numCircles < 1) {
+        throw new Error(`Invalid number of circles: ${snapshot.numCircles}`);
+    }
+    if (![-1, 0, 1].includes(snapshot.gravityDirection)) {
+        throw new Error(`Invalid gravity direction: ${snapshot.gravityDirection}`);
+    }
+    if (!snapshot.bounds || !(snapshot.bounds.width > 0) || !(snapshot.bounds.height > 0)) {
+        throw new Error('Invalid canvas bounds');
+    }
+    if (typeof snapshot.physics !== 'object' || snapshot.physics === null) {
+        throw new Error('Missing physics settings');
+    }
+
+    if (typeof snapshot.circles !== 'object' || snapshot.circles === null) {
+        throw new Error('Missing circle data');
+    }
+    for (const [field, components] of circleFields(snapshot.version)) {
+        const values = snapshot.circles[field];
+        if (!values || values.length !== snapshot.numCircles * components) {
+            throw new Error(`Circle ${field} data has the wrong length, expected ${snapshot.numCircles * components} values`);
+        }
+        for (let i = 0; i < values.length; i++) {
+            if (typeof values[i] !== 'number' || !Number.isFinite(values[i])) {
+                throw new Error(`Circle ${field} data contains an invalid value at index ${i}`);
+            }
+        }
+    }
+    if (snapshot.circles.species && !Array.from(snapshot.circles.species).every((value) => Number.isInteger(value) && value >= 0)) {
+        throw new Error('Circle species data contains an invalid species');
+    }
+    for (const field of ['radius', 'mass']) {
+        if (snapshot.circles[field] && !Array.from(snapshot.circles[field]).every((value) => value > 0)) {
+            throw new Error(`Circle ${field} data contains a value that is not positive`);
+        }
+    }
+    for (const field of ['age', 'lifetime']) {
+        if (snapshot.circles[field] && !Array.from(snapshot.circles[field]).every((value) => value >= 0)) {
+            throw new Error(`Circle ${field} data contains a negative value`);
+        }
+    }
+    return snapshot;
+}
+
+// Decode and validate a snapshot file in either encoding
+function decodeSnapshot(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const isBinary = bytes.length >= 8 && new TextDecoder().decode(bytes.subarray(0, 4)) === SNAPSHOT_MAGIC;
+
+    if (!isBinary) {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error(`Snapshot is neither binary nor valid JSON: ${error.message}`);
+        }
+        return validateSnapshot(snapshot);
+    }
+
+    const view = new DataView(buffer);
+    const headerLength = view.getUint32(4, true);
+    if (8 + headerLength > bytes.length) {
+        throw new Error('Binary snapshot is truncated');
+    }
+
+    let snapshot;
+    try {
+        snapshot = JSON.parse(new TextDecoder().decode(bytes.subarray(8, 8 + headerLength)));
+    } catch (error) {
+        throw new Error(`Binary snapshot has an invalid header: ${error.message}`);
+    }
+    if (typeof snapshot !== 'object' || snapshot === null || !Number.isInteger(snapshot.numCircles) || snapshot.numCircles < 1) {
+        throw new Error('Binary snapshot has an invalid number of circles');
+    }
+
+    const fields = circleFields(snapshot.version);
+    const dataOffset = Math.ceil((8 + headerLength) / 4) * 4;
+    const floatCount = fields.reduce((sum, [, components]) => sum + components * snapshot.numCircles, 0);
+    if (dataOffset + floatCount * 4 !== bytes.length) {
+        throw new Error(`Binary snapshot has ${bytes.length - dataOffset} bytes of circle data, expected ${floatCount * 4}`);
+    }
+
+    snapshot.circles = {};
+    let offset = dataOffset;
+    for (const [field, components] of fields) {
+        const values = new Float32Array(snapshot.numCircles * components);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = view.getFloat32(offset, true);
+            offset += 4;
+        }
+        snapshot.circles[field] = values;
+    }
+    return validateSnapshot(snapshot);
+}
+
+export {
+    createSnapshot,
+    snapshotCircles,
+    encodeSnapshotJSON,
+    encodeSnapshotBinary,
+    decodeSnapshot
+};
@@ -0,0 +1,379 @@
+// Spawn layouts and initial velocity profiles for the particle demo
+// Layouts return spawn points { x, y, cx, cy, vx?, vy?, color? }:
+// (cx, cy) is the centre used by velocity profiles, (vx, vy) extra layout velocity, color an optional [r, g, b]
+// All randomness comes from the seeded `random` passed in, so spawning stays reproducible
+
+// Images that can be sampled, relative to particles/index.html
+const SPAWN_IMAGES = {
+    'particles': { label: 'Particles', url: '../media/particles.png' },
+    'triangle': { label: 'Triangle', url: '../media/triangle.png' },
+    'indexed': { label: 'Indexed', url: '../media/indexed.png' },
+};
+const MAX_IMAGE_SIZE = 256; // Images are downscaled to at most this many pixels along each axis for sampling
+const MAX_IMAGE_ATTEMPTS = 64; // Rejection sampling attempts per circle before accepting any pixel
+let imageCache = new Map(); // Image URL => { width, height, data } pixel data
+
+// Clamp a spawn point so the whole circle stays inside the canvas
+function clampToCanvas(point, context) {
+    const { width, height, radius } = context;
+    point.x = Math.min(Math.max(point.x, radius), Math.max(width - radius, radius));
+    point.y = Math.min(Math.max(point.y, radius), Math.max(height - radius, radius));
+    return point;
+}
+
+// Uniform random grid spots without overlap, spread freely when there are more circles than spots
+function spawnRandom(count, context) {
+    const { width, height, radius, spacing, random } = context;
+    const spotsX = Math.floor(width / spacing);
+    const spotsY = Math.floor(height / spacing);
+    const occupied = new Uint8Array(spotsX * spotsY);
+    const allowOverlap = count > occupied.length;
+
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        let x, y;
+        if (allowOverlap) {
+            x = radius + random() * Math.max(width - 2 * radius, 0);
+            y = radius + random() * Math.max(height - 2 * radius, 0);
+        } else {
+            let spot;
+            do {
+                spot = Math.floor(random() * spotsX) * spotsY + Math.floor(random() * spotsY);
+            } while (occupied[spot]);
+            occupied[spot] = 1;
+            x = Math.floor(spot / spotsY) * spacing + radius;
+            y = (spot % spotsY) * spacing + radius;
+        }
+        points.push({ x, y, cx: width / 2, cy: height / 2 });
+    }
+    return points;
+}
+
+// Regular square lattice centred on the canvas
+function spawnLattice(count, context) {
+    const { width, height, radius, random, params } = context;
+    const spacing = params.spacing;
+    const columns = Math.max(Math.min(Math.ceil(Math.sqrt(count * width / height)), Math.floor((width - 2 * radius) / spacing) + 1), 1);
+    const rows = Math.ceil(count / columns);
+    const startX = (width - (columns - 1) * spacing) / 2;
+    const startY = (height - (rows - 1) * spacing) / 2;
+
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const jitterX = (random() * 2 - 1) * params.jitter;
+        const jitterY = (random() * 2 - 1) * params.jitter;
+        points.push(clampToCanvas({
+            x: startX + (i % columns) * spacing + jitterX,
+            y: startY + Math.floor(i / columns) * spacing + jitterY,
+            cx: width / 2,
+            cy: height / 2,
+        }, context));
+    }
+    return points;
+}
+
+// Uniformly filled disk centred on the canvas
+function spawnDisk(count, context) {
+    const { width, height, random, params } = context;
+    const diskRadius = params.radius * Math.min(width, height) / 2;
+
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const angle = random() * Math.PI * 2;
+        const distance = diskRadius * Math.sqrt(random()); // sqrt keeps the density uniform
+        points.push(clampToCanvas({
+            x: width / 2 + Math.cos(angle) * distance,
+            y: height / 2 + Math.sin(angle) * distance,
+            cx: width / 2,
+            cy: height / 2,
+        }, context));
+    }
+    return points;
+}
+
+// Ring of a given thickness centred on the canvas
+function spawnRing(count, context) {
+    const { width, height, random, params } = context;
+    const ringRadius = params.radius * Math.min(width, height) / 2;
+
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const angle = random() * Math.PI * 2;
+        const distance = ringRadius + (random() - 0.5) * params.thickness;
+        points.push(clampToCanvas({
+            x: width / 2 + Math.cos(angle) * distance,
+            y: height / 2 + Math.sin(angle) * distance,
+            cx: width / 2,
+            cy: height / 2,
+        }, context));
+    }
+    return points;
+}
+
+// Two disks on either side of the canvas moving towards each other
+function spawnClusters(count, context) {
+    const { width, height, random, params } = context;
+    const clusterRadius = params.radius * Math.min(width, height) / 2;
+    const offset = params.separation * width / 2;
+
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const side = i % 2 === 0 ? -1 : 1;
+        const cx = width / 2 + side * offset;
+        const cy = height / 2;
+        const angle = random() * Math.PI * 2;
+        const distance = clusterRadius * Math.sqrt(random());
+        points.push(clampToCanvas({
+            x: cx + Math.cos(angle) * distance,
+            y: cy + Math.sin(angle) * distance,
+            cx,
+            cy,
+            vx: -side * params.speed,
+            vy: 0,
+        }, context));
+    }
+    return points;
+}
+
+// Sample positions from the bright pixels of an image fitted into the canvas, taking their colour
+function spawnImage(count, context) {
+    const { width, height, random, params } = context;
+    const image = imageCache.get(SPAWN_IMAGES[params.image].url);
+    if (!image) {
+        throw new Error(`Spawn image '${params.image}' is not loaded`);
+    }
+
+    // Fit the image into the canvas keeping its aspect ratio
+    const scale = Math.min(width / image.width, height / image.height);
+    const offsetX = (width - image.width * scale) / 2;
+    const offsetY = (height - image.height * scale) / 2;
+
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        let px, py, r, g, b, brightness;
+        let attempts = 0;
+        do {
+            px = random() * image.width;
+            py = random() * image.height;
+            const pixel = (Math.floor(py) * image.width + Math.floor(px)) * 4;
+            r = image.data[pixel] / 255;
+            g = image.data[pixel + 1] / 255;
+            b = image.data[pixel + 2] / 255;
+            brightness = (0.2126 * r + 0.7152 * g + 0.0722 * b) * (image.data[pixel + 3] / 255);
+            attempts++;
+        } while (brightness < params.threshold && attempts < MAX_IMAGE_ATTEMPTS);
+
+        points.push(clampToCanvas({
+            x: offsetX + px * scale,
+            y: offsetY + py * scale,
+            cx: width / 2,
+            cy: height / 2,
+            color: [r, g, b],
+        }, context));
+    }
+    return points;
+}
+
+// Spawn layouts with their parameters
+// Number parameters have a value, min, max and step; choice parameters have a value and options
+const SPAWN_LAYOUTS = {
+    'random': { label: 'Uniform random', params: {}, spawn: spawnRandom },
+    'lattice': {
+        label: 'Lattice',
+        params: {
+            spacing: { label: 'Spacing (px)', value: 20, min: 2, max: 200, step: 1 },
+            jitter: { label: 'Jitter (px)', value: 0, min: 0, max: 50, step: 1 },
+        },
+        spawn: spawnLattice,
+    },
+    'disk': {
+        label: 'Filled disk',
+        params: {
+            radius: { label: 'Radius (fraction)', value: 0.8, min: 0.05, max: 1, step: 0.05 },
+        },
+        spawn: spawnDisk,
+    },
+    'ring': {
+        label: 'Ring',
+        params: {
+            radius: { label: 'Radius (fraction)', value: 0.7, min: 0.05, max: 1, step: 0.05 },
+            thickness: { label: 'Thickness (px)', value: 20, min: 0, max: 400, step: 1 },
+        },
+        spawn: spawnRing,
+    },
+    'clusters': {
+        label: 'Colliding clusters',
+        params: {
+            radius: { label: 'Cluster radius (fraction)', value: 0.3, min: 0.05, max: 1, step: 0.05 },
+            separation: { label: 'Separation (fraction)', value: 0.5, min: 0, max: 1, step: 0.05 },
+            speed: { label: 'Approach speed (px/s)', value: 200, min: 0, max: 1000, step: 10 },
+        },
+        spawn: spawnClusters,
+    },
+    'image': {
+        label: 'Sample from image',
+        params: {
+            image: { label: 'Image', value: 'particles', options: Object.keys(SPAWN_IMAGES) },
+            threshold: { label: 'Brightness threshold', value: 0.3, min: 0, max: 1, step: 0.05 },
+        },
+        spawn: spawnImage,
+    },
+};
+
+// Initial velocity profiles, `speed` in pixels per second
+const VELOCITY_PROFILES = {
+    // Random direction at the given speed
+    'random': {
+        label: 'Random',
+        velocity: (point, speed, random) => {
+            const angle = random() * Math.PI * 2;
+            return [Math.cos(angle) * speed, Math.sin(angle) * speed];
+        },
+    },
+    // At rest
+    'zero': {
+        label: 'Zero',
+        velocity: () => [0, 0],
+    },
+    // Counter-clockwise around the centre of the point
+    'rotational': {
+        label: 'Rotational',
+        velocity: (point, speed) => {
+            const dx = point.x - point.cx;
+            const dy = point.y - point.cy;
+            const distance = Math.hypot(dx, dy) || 1;
+            return [-dy / distance * speed, dx / distance * speed];
+        },
+    },
+    // Outwards from the centre of the point
+    'radial': {
+        label: 'Radial',
+        velocity: (point, speed) => {
+            const dx = point.x - point.cx;
+            const dy = point.y - point.cy;
+            const distance = Math.hypot(dx, dy) || 1;
+            return [dx / distance * speed, dy / distance * speed];
+        },
+    },
+};
+
+// Size distributions of circles, as scales of the radius of their species
+// `scale` draws a scale, `maxScale` is the largest one it draws
+const MIN_SIZE_SCALE = 0.25;
+const MAX_SIZE_SCALE = 3;
+const SIZE_DISTRIBUTIONS = {
+    'fixed': {
+        label: 'Fixed',
+        params: {},
+        scale: () => 1,
+        maxScale: () => 1,
+    },
+    'uniform': {
+        label: 'Uniform',
+        params: {
+            spread: { label: 'Spread (fraction)', value: 0.5, min: 0, max: 0.9, step: 0.05 },
+        },
+        scale: (random, params) => 1 + (random() * 2 - 1) * params.spread,
+        maxScale: (params) => 1 + params.spread,
+    },
+    'normal': {
+        label: 'Normal',
+        params: {
+            deviation: { label: 'Deviation (fraction)', value: 0.25, min: 0, max: 1, step: 0.05 },
+        },
+        // Box-Muller transform, clamped to keep circles visible and bounded
+        scale: (random, params) => {
+            const normal = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+            return Math.min(Math.max(1 + normal * params.deviation, MIN_SIZE_SCALE), MAX_SIZE_SCALE);
+        },
+        maxScale: (params) => Math.min(1 + 3 * params.deviation, MAX_SIZE_SCALE),
+    },
+    'bimodal': {
+        label: 'Bimodal',
+        params: {
+            ratio: { label: 'Large size ratio', value: 2, min: 1, max: MAX_SIZE_SCALE, step: 0.1 },
+            fraction: { label: 'Large fraction', value: 0.2, min: 0, max: 1, step: 0.05 },
+        },
+        scale: (random, params) => random() < params.fraction ? params.ratio : 1,
+        maxScale: (params) => params.ratio,
+    },
+};
+
+// Get the default parameter values of a set of parameter definitions
+function defaultParams(definitions) {
+    const params = {};
+    for (const [name, param] of Object.entries(definitions)) {
+        params[name] = param.value;
+    }
+    return params;
+}
+
+// Get the default parameter values of a layout
+function defaultSpawnParams(layoutName) {
+    return defaultParams(SPAWN_LAYOUTS[layoutName].params);
+}
+
+// Get the default parameter values of a size distribution
+function defaultSizeParams(distributionName) {
+    return defaultParams(SIZE_DISTRIBUTIONS[distributionName].params);
+}
+
+// Load and downscale an image into RGBA pixel data for sampling
+async function loadImagePixels(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load spawn image ${url}: ${response.status} ${response.statusText}`);
+    }
+    const bitmap = await createImageBitmap(await response.blob());
+
+    const scale = Math.min(MAX_IMAGE_SIZE / bitmap.width, MAX_IMAGE_SIZE / bitmap.height, 1);
+    const width = Math.max(Math.round(bitmap.width * scale), 1);
+    const height = Math.max(Math.round(bitmap.height * scale), 1);
+    const canvas = new OffscreenCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    return { width, height, data: context.getImageData(0, 0, width, height).data };
+}
+
+// Load whatever a layout needs before spawning, such as image pixel data
+async function prepareSpawnLayout(layoutName, params) {
+    if (layoutName !== 'image') {
+        return;
+    }
+    const url = SPAWN_IMAGES[params.image].url;
+    if (!imageCache.has(url)) {
+        imageCache.set(url, await loadImagePixels(url));
+    }
+}
+
+// Spawn `count` circles with a layout and velocity profile
+// `context` holds width, height, radius, spacing (minimum distance for the random layout), random, params and speed
+// Returns circles { x, y, vx, vy, color? }
+function spawnCircles(layoutName, profileName, count, context) {
+    const points = SPAWN_LAYOUTS[layoutName].spawn(count, context);
+    const velocity = VELOCITY_PROFILES[profileName].velocity;
+
+    return points.map((point) => {
+        const [vx, vy] = velocity(point, context.speed, context.random);
+        return {
+            x: point.x,
+            y: point.y,
+            vx: vx + (point.vx || 0),
+            vy: vy + (point.vy || 0),
+            color: point.color,
+        };
+    });
+}
+
+export {
+    SPAWN_IMAGES,
+    SPAWN_LAYOUTS,
+    VELOCITY_PROFILES,
+    SIZE_DISTRIBUTIONS,
+    defaultSpawnParams,
+    defaultSizeParams,
+    prepareSpawnLayout,
+    spawnCircles
+};
@@ -0,0 +1,140 @@
+// Particle species and the matrix of interactions between them
+// A species is { color: [r, g, b], radius, mass }, its colour tints the circles of that species
+// and its radius and mass are the defaults of new circles, which keep their own size and mass
+// Interactions are a row-major N×N list of { kind, strength }: entry [a * N + b] is how species b acts on species a
+import { defineStruct, writeStruct } from './layout.js';
+
+const MAX_SPECIES = 8; // Must match MAX_SPECIES in movement.wgsl and circles.wgsl
+const MIN_SPECIES_RADIUS = 2; // Radius bounds in pixels
+const MAX_SPECIES_RADIUS = 15;
+const MIN_SPECIES_MASS = 0.1;
+const MAX_SPECIES_MASS = 10;
+const MAX_INTERACTION_STRENGTH = 5;
+
+// Interaction kinds, ids must match the INTERACTION_* constants in movement.wgsl and cpu_simulation.js
+// Attractive and repulsive interactions peak halfway between contact and the interaction range
+const INTERACTION_KINDS = {
+    'lennard-jones': { id: 0, label: 'LJ' },
+    'attractive': { id: 1, label: 'Attract' },
+    'repulsive': { id: 2, label: 'Repel' },
+};
+
+// Default colours of species 1 to MAX_SPECIES when there is more than one
+const SPECIES_COLORS = [
+    [1.0, 0.42, 0.42],
+    [0.31, 0.8, 0.77],
+    [1.0, 0.85, 0.4],
+    [0.6, 0.5, 1.0],
+    [0.45, 0.85, 0.45],
+    [1.0, 0.6, 0.2],
+    [0.3, 0.6, 1.0],
+    [0.95, 0.5, 0.85],
+];
+
+// Struct layouts of SpeciesTable in movement.wgsl: MAX_SPECIES species, then MAX_SPECIES² interactions
+const SPECIES_LAYOUT = defineStruct('Species', [
+    ['color', 'vec3<f32>'],
+]);
+const INTERACTION_LAYOUT = defineStruct('Interaction', [
+    ['kind', 'u32'],
+    ['strength', 'f32'],
+]);
+const INTERACTIONS_OFFSET = MAX_SPECIES * SPECIES_LAYOUT.size;
+const SPECIES_TABLE_SIZE = INTERACTIONS_OFFSET + MAX_SPECIES * MAX_SPECIES * INTERACTION_LAYOUT.size;
+
+// Get `count` species, keeping the given ones
+// A single species is white so the circles keep their own colours
+function defaultSpecies(count, radius, previous = []) {
+    return Array.from({ length: count }, (_, i) => previous[i] || {
+        color: count === 1 ? [1, 1, 1] : SPECIES_COLORS[i],
+        radius,
+        mass: 1,
+    });
+}
+
+// Get the interactions of `count` species, keeping the given ones of `previousCount` species
+// New pairs use the plain Lennard-Jones interaction
+function defaultInteractions(count, previous = [], previousCount = 0) {
+    const interactions = [];
+    for (let a = 0; a < count; a++) {
+        for (let b = 0; b < count; b++) {
+            const kept = a < previousCount && b < previousCount ? previous[a * previousCount + b] : null;
+            interactions.push(kept || { kind: 'lennard-jones', strength: 1 });
+        }
+    }
+    return interactions;
+}
+
+// Random attractive and repulsive interactions for particle-life style behaviour
+function randomInteractions(count, random) {
+    return Array.from({ length: count * count }, () => ({
+        kind: random() < 0.5 ? 'attractive' : 'repulsive',
+        strength: Math.round(random() * 100) / 100,
+    }));
+}
+
+// Check species and interactions read from a file, throwing an error describing the first problem found
+function validateSpecies(species, interactions) {
+    if (!Array.isArray(species) || species.length < 1 || species.length > MAX_SPECIES) {
+        throw new Error(`Species must be a list of 1 to ${MAX_SPECIES} species`);
+    }
+    species.forEach((entry, i) => {
+        if (!Array.isArray(entry?.color) || entry.color.length !== 3 || !entry.color.every((c) => c >= 0 && c <= 1)) {
+            throw new Error(`Species ${i + 1} has an invalid colour`);
+        }
+        if (!(entry.radius >= MIN_SPECIES_RADIUS && entry.radius <= MAX_SPECIES_RADIUS)) {
+            throw new Error(`Species ${i + 1} has an invalid radius: ${entry.radius}`);
+        }
+        if (!(entry.mass >= MIN_SPECIES_MASS && entry.mass <= MAX_SPECIES_MASS)) {
+            throw new Error(`Species ${i + 1} has an invalid mass: ${entry.mass}`);
+        }
+    });
+
+    if (!Array.isArray(interactions) || interactions.length !== species.length * species.length) {
+        throw new Error(`Interactions must be a ${species.length}×${species.length} matrix`);
+    }
+    interactions.forEach((interaction, i) => {
+        if (!INTERACTION_KINDS[interaction?.kind] || !(interaction.strength >= 0 && interaction.strength <= MAX_INTERACTION_STRENGTH)) {
+            throw new Error(`Invalid interaction between species ${Math.floor(i / species.length) + 1} and ${i % species.length + 1}`);
+        }
+    });
+}
+
+// Pack species and interactions into SpeciesTable data, unused entries stay zero
+function packSpeciesTable(species, interactions, view) {
+    const count = species.length;
+    const interactionsView = new DataView(view.buffer, view.byteOffset + INTERACTIONS_OFFSET);
+    species.forEach(({ color }, i) => writeStruct(view, SPECIES_LAYOUT, i, { color }));
+
+    // The table is always MAX_SPECIES wide
+    interactions.forEach((interaction, i) => writeStruct(interactionsView, INTERACTION_LAYOUT, Math.floor(i / count) * MAX_SPECIES + i % count, {
+        kind: INTERACTION_KINDS[interaction.kind].id,
+        strength: interaction.strength,
+    }));
+}
+
+// Species and interactions as typed arrays for the CPU simulation
+function speciesArrays(species, interactions) {
+    return {
+        count: species.length,
+        kind: Uint32Array.from(interactions, (interaction) => INTERACTION_KINDS[interaction.kind].id),
+        strength: Float32Array.from(interactions, (interaction) => interaction.strength),
+    };
+}
+
+export {
+    MAX_SPECIES,
+    MIN_SPECIES_RADIUS,
+    MAX_SPECIES_RADIUS,
+    MIN_SPECIES_MASS,
+    MAX_SPECIES_MASS,
+    MAX_INTERACTION_STRENGTH,
+    INTERACTION_KINDS,
+    SPECIES_TABLE_SIZE,
+    defaultSpecies,
+    defaultInteractions,
+    randomInteractions,
+    validateSpecies,
+    packSpeciesTable,
+    speciesArrays
+};
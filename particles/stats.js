@@ -0,0 +1,201 @@
+// Physical statistics of the circles: sums reduced on the GPU by stats.wgsl or measured by cpu_simulation.js,
+// the quantities derived from them, their time series and the charts drawing them
+// Temperature uses the 2D equipartition theorem with the Boltzmann constant taken as 1,
+// so it is the mean kinetic energy per circle
+import { defineStruct } from './layout.js';
+
+const HISTOGRAM_BINS = 32; // Speed histogram bins, must match HISTOGRAM_BINS in stats.wgsl
+const STATS_INTERVAL = 0.25; // Simulated seconds between samples
+const STATS_HISTORY = 240; // Samples kept for the charts and the CSV export
+
+// Struct layout of Totals in stats.wgsl, followed by the speed histogram in Stats
+const STATS_TOTALS_LAYOUT = defineStruct('Totals', [
+    ['count', 'u32'],
+    ['kinetic', 'f32'],
+    ['potential', 'f32'],
+    ['speed', 'f32'],
+    ['speed_sq', 'f32'],
+    ['mass', 'f32'],
+    ['momentum', 'vec2<f32>'],
+    ['mass_position', 'vec2<f32>'],
+]);
+const HISTOGRAM_OFFSET = STATS_TOTALS_LAYOUT.size;
+const STATS_SIZE = HISTOGRAM_OFFSET + HISTOGRAM_BINS * 4;
+
+// Quantities of a sample, in the order of the CSV columns
+const STATS_COLUMNS = {
+    time: { label: 'Time (s)' },
+    count: { label: 'Circles' },
+    kinetic: { label: 'Kinetic energy' },
+    potential: { label: 'Potential energy' },
+    temperature: { label: 'Temperature' },
+    meanSpeed: { label: 'Mean speed (px/s)' },
+    momentumX: { label: 'Momentum x' },
+    momentumY: { label: 'Momentum y' },
+    centreX: { label: 'Centre of mass x (px)' },
+    centreY: { label: 'Centre of mass y (px)' },
+};
+
+// Time-series charts of the overlay, each drawing one or more columns
+const STATS_CHARTS = [
+    { id: 'energy', label: 'Energy', columns: ['kinetic', 'potential'] },
+    { id: 'temperature', label: 'Temperature', columns: ['temperature'] },
+    { id: 'speed', label: 'Mean speed', columns: ['meanSpeed'] },
+    { id: 'momentum', label: 'Net momentum', columns: ['momentumX', 'momentumY'] },
+    { id: 'centre', label: 'Centre of mass', columns: ['centreX', 'centreY'] },
+];
+const CHART_COLORS = ['#45b7d1', '#ff6b6b'];
+
+// Empty totals, the starting point of measuring on the CPU
+function createTotals() {
+    return {
+        count: 0,
+        kinetic: 0,
+        potential: 0,
+        speed: 0,
+        speed_sq: 0,
+        mass: 0,
+        momentum: [0, 0],
+        mass_position: [0, 0],
+        histogram: new Array(HISTOGRAM_BINS).fill(0),
+    };
+}
+
+// Derive a sample at simulated `time` from the totals
+function deriveSample(totals, time) {
+    const count = Math.max(totals.count, 1);
+    const mass = totals.mass > 0 ? totals.mass : 1;
+    return {
+        time,
+        count: totals.count,
+        kinetic: totals.kinetic,
+        potential: totals.potential,
+        temperature: totals.kinetic / count,
+        meanSpeed: totals.speed / count,
+        momentumX: totals.momentum[0],
+        momentumY: totals.momentum[1],
+        centreX: totals.mass_position[0] / mass,
+        centreY: totals.mass_position[1] / mass,
+    };
+}
+
+// Circles expected in each speed bin from 0 to `histogramMax` by the 2D Maxwell–Boltzmann distribution
+// with the same mean square speed, f(v) = v / a * exp(-v² / 2a) where 2a = <v²>
+function maxwellBoltzmann(totals, histogramMax) {
+    const meanSpeedSq = totals.count > 0 ? totals.speed_sq / totals.count : 0;
+    if (!(meanSpeedSq > 0)) {
+        return new Array(HISTOGRAM_BINS).fill(0);
+    }
+
+    // The cumulative distribution is 1 - exp(-v² / <v²>)
+    const cumulative = (speed) => 1 - Math.exp(-speed * speed / meanSpeedSq);
+    const binWidth = histogramMax / HISTOGRAM_BINS;
+    return Array.from({ length: HISTOGRAM_BINS }, (_, i) => {
+        // Speeds beyond the range are counted in the last bin, as they are measured
+        const upper = i === HISTOGRAM_BINS - 1 ? 1 : cumulative((i + 1) * binWidth);
+        return totals.count * (upper - cumulative(i * binWidth));
+    });
+}
+
+// Format samples as CSV with a header row
+function statsToCSV(samples) {
+    const columns = Object.keys(STATS_COLUMNS);
+    const header = columns.map((column) => STATS_COLUMNS[column].label).join(',');
+    const rows = samples.map((sample) => columns.map((column) => sample[column]).join(','));
+    return [header, ...rows].join('\n') + '\n';
+}
+
+// Draw the columns of the samples as lines scaled to fit the chart canvas
+function drawChart(canvas, samples, columns) {
+    const context = canvas.getContext('2d');
+    if (!context) {
+        return;
+    }
+
+    const { width, height } = canvas;
+    context.clearRect(0, 0, width, height);
+    if (samples.length < 2) {
+        return;
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (const sample of samples) {
+        for (const column of columns) {
+            min = Math.min(min, sample[column]);
+            max = Math.max(max, sample[column]);
+        }
+    }
+    // Keep flat series in the middle
+    if (max - min < 1e-9) {
+        min -= 1;
+        max += 1;
+    }
+
+    columns.forEach((column, c) => {
+        context.strokeStyle = CHART_COLORS[c % CHART_COLORS.length];
+        context.lineWidth = 1.5;
+        context.beginPath();
+        samples.forEach((sample, i) => {
+            const x = i / (STATS_HISTORY - 1) * width;
+            const y = height - 2 - (sample[column] - min) / (max - min) * (height - 4);
+            if (i === 0) {
+                context.moveTo(x, y);
+            } else {
+                context.lineTo(x, y);
+            }
+        });
+        context.stroke();
+    });
+}
+
+// Draw the speed histogram as bars with the expected Maxwell–Boltzmann counts as a line
+function drawHistogram(canvas, histogram, expected) {
+    const context = canvas.getContext('2d');
+    if (!context) {
+        return;
+    }
+
+    const { width, height } = canvas;
+    context.clearRect(0, 0, width, height);
+    const max = Math.max(...histogram, ...expected, 1);
+    const barWidth = width / HISTOGRAM_BINS;
+
+    context.fillStyle = CHART_COLORS[0];
+    histogram.forEach((count, i) => {
+        const barHeight = count / max * (height - 2);
+        context.fillRect(i * barWidth, height - barHeight, barWidth - 1, barHeight);
+    });
+
+    context.strokeStyle = CHART_COLORS[1];
+    context.lineWidth = 1.5;
+    context.beginPath();
+    expected.forEach((count, i) => {
+        const x = (i + 0.5) * barWidth;
+        const y = height - count / max * (height - 2);
+        if (i === 0) {
+            context.moveTo(x, y);
+        } else {
+            context.lineTo(x, y);
+        }
+    });
+    context.stroke();
+}
+
+export {
+    HISTOGRAM_BINS,
+    STATS_INTERVAL,
+    STATS_HISTORY,
+    STATS_TOTALS_LAYOUT,
+    HISTOGRAM_OFFSET,
+    STATS_SIZE,
+    STATS_COLUMNS,
+    STATS_CHARTS,
+    CHART_COLORS,
+    createTotals,
+    deriveSample,
+    maxwellBoltzmann,
+    statsToCSV,
+    drawChart,
+    drawHistogram
+};
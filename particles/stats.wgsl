@@ -0,0 +1,100 @@
+struct Circle {
+    position: vec2<f32>,
+    velocity: vec2<f32>,
+    acceleration: vec2<f32>,
+    color: vec3<f32>,
+    alive: u32, // 0 once removed, e.g. by an absorbing boundary
+    species: u32,
+    radius: f32,
+    mass: f32,
+    grabbed: u32, // 1 + the pointer slot holding it with the drag tool, 0 when not held
+    age: f32, // Seconds since it was spawned
+    lifetime: f32, // Seconds it lives for, 0 for ever
+}
+
+// Sums over the live circles, see STATS_TOTALS_LAYOUT in stats.js
+struct Totals {
+    count: u32,
+    kinetic: f32,
+    potential: f32,
+    speed: f32,
+    speed_sq: f32,
+    mass: f32,
+    momentum: vec2<f32>,
+    mass_position: vec2<f32>, // Positions weighted by mass, over the total mass it is the centre of mass
+}
+
+struct Stats {
+    totals: Totals,
+    histogram: array<u32, 32>, // Circles per speed bin from 0 to histogram_max
+}
+
+struct StatsParams {
+    histogram_max: f32,
+}
+
+@group(0) @binding(0) var<uniform> stats_params: StatsParams;
+@group(0) @binding(1) var<storage, read> circles: array<Circle>;
+// Potential energy of each circle, written by movement.wgsl in the last step
+@group(0) @binding(2) var<storage, read> potentials: array<f32>;
+@group(0) @binding(3) var<storage, read_write> stats: Stats;
+
+const WORKGROUP_SIZE: u32 = 256u;
+const HISTOGRAM_BINS: u32 = 32u; // Must match HISTOGRAM_BINS in stats.js
+
+var<workgroup> partials: array<Totals, 256>;
+var<workgroup> histogram: array<atomic<u32>, 32>;
+
+// Reduce the circles in a single workgroup: every invocation sums a strided share of the circles,
+// then the partial sums are added up in a tree
+@compute @workgroup_size(256)
+fn reduce_stats(@builtin(local_invocation_index) local_index: u32) {
+    var totals = Totals(0u, 0.0, 0.0, 0.0, 0.0, 0.0, vec2<f32>(0.0, 0.0), vec2<f32>(0.0, 0.0));
+    let num_circles = arrayLength(&circles);
+    for (var i = local_index; i < num_circles; i += WORKGROUP_SIZE) {
+        let circle = circles[i];
+        if circle.alive == 0u {
+            continue;
+        }
+
+        let speed_sq = dot(circle.velocity, circle.velocity);
+        let speed = sqrt(speed_sq);
+        totals.count += 1u;
+        totals.kinetic += 0.5 * circle.mass * speed_sq;
+        totals.potential += potentials[i];
+        totals.speed += speed;
+        totals.speed_sq += speed_sq;
+        totals.mass += circle.mass;
+        totals.momentum += circle.mass * circle.velocity;
+        totals.mass_position += circle.mass * circle.position;
+
+        let bin = min(u32(speed / stats_params.histogram_max * f32(HISTOGRAM_BINS)), HISTOGRAM_BINS - 1u);
+        atomicAdd(&histogram[bin], 1u);
+    }
+    partials[local_index] = totals;
+    workgroupBarrier();
+
+    for (var stride = WORKGROUP_SIZE / 2u; stride > 0u; stride /= 2u) {
+        if local_index < stride {
+            let other = partials[local_index + stride];
+            var sum = partials[local_index];
+            sum.count += other.count;
+            sum.kinetic += other.kinetic;
+            sum.potential += other.potential;
+            sum.speed += other.speed;
+            sum.speed_sq += other.speed_sq;
+            sum.mass += other.mass;
+            sum.momentum += other.momentum;
+            sum.mass_position += other.mass_position;
+            partials[local_index] = sum;
+        }
+        workgroupBarrier();
+    }
+
+    if local_index < HISTOGRAM_BINS {
+        stats.histogram[local_index] = atomicLoad(&histogram[local_index]);
+    }
+    if local_index == 0u {
+        stats.totals = partials[0];
+    }
+}
@@ -0,0 +1,132 @@
+// A mouse button, pen or finger pressed on the canvas
+struct Pointer {
+    position: vec2<f32>,
+    drag_offset: vec2<f32>, // Pointer movement per step while dragging
+}
+
+struct Uniforms {
+    resolution: vec2<f32>,
+    gravity_direction: f32,
+    integrator: u32,
+    boundary_mode: u32,
+    num_obstacles: u32,
+    mouse_tool: u32,
+    active_pointers: u32, // Bit per pointer slot in use
+    grab_pointers: u32, // Bit per pointer slot starting a drag, grabbing the circles within the mouse radius
+    collision_mode: u32,
+    thermostat: u32,
+    @align(16) pointers: array<Pointer, 8>, // Uniform arrays must start at a multiple of 16 bytes
+}
+
+struct Circle {
+    position: vec2<f32>,
+    velocity: vec2<f32>,
+    acceleration: vec2<f32>,
+    color: vec3<f32>,
+    alive: u32, // 0 once removed, e.g. by an absorbing boundary
+    species: u32,
+    radius: f32,
+    mass: f32,
+    grabbed: u32, // 1 + the pointer slot holding it with the drag tool, 0 when not held
+    age: f32, // Seconds since it was spawned
+    lifetime: f32, // Seconds it lives for, 0 for ever
+}
+
+// Physics parameters, adjustable while the simulation runs
+struct PhysicsParams {
+    inter_epsilon: f32,
+    inter_sigma: f32,
+    max_accel: f32,
+    max_speed: f32,
+    damping: f32,
+    mouse_radius: f32,
+    mouse_strength: f32,
+    gravity: f32,
+    restitution: f32,
+    collision_restitution: f32,
+    target_temperature: f32, // Mean kinetic energy per circle the thermostat holds
+    thermostat_time: f32, // Seconds the thermostat takes to correct the temperature
+}
+
+// The passes use different subsets of the bindings, so they share an explicit layout in particles.js
+@group(0) @binding(0) var<uniform> uniforms: Uniforms;
+@group(0) @binding(1) var<uniform> delta_time: f32;
+@group(0) @binding(2) var<uniform> params: PhysicsParams;
+// The circles the next step starts from, rescaled in place
+@group(0) @binding(3) var<storage, read_write> circles: array<Circle>;
+// Velocity scale measure_temperature works out for rescale_velocities
+@group(0) @binding(4) var<storage, read_write> scale: f32;
+
+const WORKGROUP_SIZE: u32 = 256u;
+
+// Thermostats, see THERMOSTATS in particles.js
+const THERMOSTAT_RESCALE: u32 = 1u;
+const THERMOSTAT_BERENDSEN: u32 = 2u;
+
+// Kinetic energy and number of the circles summed by each invocation
+var<workgroup> partials: array<vec2<f32>, 256>;
+
+// Measure the temperature of the free circles in a single workgroup and work out the velocity scale
+// bringing it to the target, all at once (rescaling) or over the thermostat time (Berendsen)
+@compute @workgroup_size(256)
+fn measure_temperature(@builtin(local_invocation_index) local_index: u32) {
+    var sum = vec2<f32>(0.0, 0.0);
+    let num_circles = arrayLength(&circles);
+    for (var i = local_index; i < num_circles; i += WORKGROUP_SIZE) {
+        let circle = circles[i];
+        // Held circles move with their pointer, not with the heat
+        if circle.alive != 0u && circle.grabbed == 0u {
+            sum += vec2<f32>(0.5 * circle.mass * dot(circle.velocity, circle.velocity), 1.0);
+        }
+    }
+    partials[local_index] = sum;
+    workgroupBarrier();
+
+    for (var stride = WORKGROUP_SIZE / 2u; stride > 0u; stride /= 2u) {
+        if local_index < stride {
+            partials[local_index] += partials[local_index + stride];
+        }
+        workgroupBarrier();
+    }
+
+    if local_index == 0u {
+        // Temperature is the mean kinetic energy per circle, circles at rest cannot be scaled up
+        let temperature = partials[0].x / max(partials[0].y, 1.0);
+        var ratio = 1.0;
+        if temperature > 0.0 {
+            ratio = params.target_temperature / temperature;
+        }
+
+        switch uniforms.thermostat {
+            case THERMOSTAT_RESCALE: {
+                scale = sqrt(ratio);
+            }
+            case THERMOSTAT_BERENDSEN: {
+                scale = sqrt(max(1.0 + delta_time / params.thermostat_time * (ratio - 1.0), 0.0));
+            }
+            default: {
+                scale = 1.0;
+            }
+        }
+    }
+}
+
+// Scale the velocities of the free circles, still within the max speed
+@compute @workgroup_size(128)
+fn rescale_velocities(@builtin(global_invocation_id) global_id: vec3<u32>) {
+    let index = global_id.x;
+    if index >= arrayLength(&circles) {
+        return;
+    }
+
+    let circle = circles[index];
+    if circle.alive == 0u || circle.grabbed != 0u {
+        return;
+    }
+
+    var velocity = circle.velocity * scale;
+    if length(velocity) > params.max_speed {
+        velocity = normalize(velocity) * params.max_speed;
+    }
+    circles[index].velocity = velocity;
+}
@@ -1,6 +1,7 @@
 let htmlState = {
     canvas: null, // The canvas element for rendering
     errorMessage: null, // The error message element to display errors
+    noticeMessage: null, // The notice message element to display status notices
 }
 
 let gpuState = {
@@ -49,6 +50,33 @@ function showErrorToast(message, neverHide = false, isHtml = false) {
     }, 10000);
 }
 
+// Show notice toast message
+function showNoticeToast(message) {
+    if (!htmlState.noticeMessage) {
+        console.warn('Notice message element not found!');
+        return;
+    }
+
+    htmlState.noticeMessage.textContent = message;
+    htmlState.noticeMessage.classList.add('visible', 'show');
+    htmlState.noticeMessage.classList.remove('hide');
+
+    // Clear any existing timeout
+    if (showNoticeToast.timeoutId) {
+        clearTimeout(showNoticeToast.timeoutId);
+    }
+
+    // Auto-hide after 4 seconds
+    showNoticeToast.timeoutId = setTimeout(() => {
+        htmlState.noticeMessage.classList.add('hide');
+        htmlState.noticeMessage.classList.remove('show');
+
+        setTimeout(() => {
+            htmlState.noticeMessage.classList.remove('visible');
+        }, 300);
+    }, 4000);
+}
+
 // Adjust context to canvas size
 function resizeCanvas() {
     try {
@@ -80,28 +108,54 @@ function configureContext() {
     }
 }
 
-// Initialize the WebGPU device and context
-async function initDeviceAndContext() {
-    try {
-        // Check WebGPU support
-        if (!navigator.gpu) {
-            throw new Error('WebGPU is not supported in this browser');
+// Watch a device for loss and hand it to the recovery handler if one is given
+function watchDeviceLost(device, onDeviceLost) {
+    device.lost.then((info) => {
+        // Ignore devices that were destroyed on purpose or already replaced
+        if (info.reason === 'destroyed' || gpuState.device !== device) {
+            return;
         }
 
-        // Request adapter
-        const adapter = await navigator.gpu.requestAdapter();
-        if (!adapter) {
-            throw new Error('No WebGPU adapter found');
+        console.error('WebGPU device lost:', info.message);
+        if (onDeviceLost) {
+            onDeviceLost(info);
+        } else {
+            showErrorToast(`GPU device lost: ${info.message}. Reload the page to continue.`, true);
         }
+    });
+}
 
-        // Request device
-        gpuState.device = await adapter.requestDevice();
-        
-        // Set up device error handling for uncaptured errors
-        gpuState.device.addEventListener('uncapturederror', (event) => {
-            showErrorToast(`WebGPU uncaptured error: ${event.error.message}`);
-            console.error('WebGPU uncaptured error:', event.error);
-        });
+// Request a WebGPU adapter and device, also used to replace a lost device
+async function requestDevice(onDeviceLost = null) {
+    // Check WebGPU support
+    if (!navigator.gpu) {
+        throw new Error('WebGPU is not supported in this browser');
+    }
+
+    // Request adapter
+    const adapter = await navigator.gpu.requestAdapter();
+    if (!adapter) {
+        throw new Error('No WebGPU adapter found');
+    }
+
+    // Request device
+    gpuState.device = await adapter.requestDevice();
+    
+    // Set up device error handling for uncaptured errors
+    gpuState.device.addEventListener('uncapturederror', (event) => {
+        showErrorToast(`WebGPU uncaptured error: ${event.error.message}`);
+        console.error('WebGPU uncaptured error:', event.error);
+    });
+
+    // Set up device loss handling
+    watchDeviceLost(gpuState.device, onDeviceLost);
+}
+
+// Initialize the WebGPU device and context
+async function initDeviceAndContext(onDeviceLost = null) {
+    try {
+        // Request adapter and device
+        await requestDevice(onDeviceLost);
         
         // Get canvas context
         gpuState.context = htmlState.canvas.getContext('webgpu');
@@ -109,8 +163,9 @@ async function initDeviceAndContext() {
             throw new Error('Failed to get WebGPU context');
         }
     } catch (error) {
-        showErrorToast(`Device request error: ${error.message}`, neverHide = true);
+        showErrorToast(`Device request error: ${error.message}`, true);
         console.error('Device request error:', error);
+        throw error;
     }
 }
 
@@ -169,6 +224,7 @@ async function validateShader(shaderCode) {
 function initElements() {
     htmlState.canvas = document.getElementById('canvas');
     htmlState.errorMessage = document.getElementById('error-toast');
+    htmlState.noticeMessage = document.getElementById('notice-toast');
 }
 
 // Export functions and variables for use in other files
@@ -176,8 +232,10 @@ export {
     htmlState,
     gpuState,
     showErrorToast,
+    showNoticeToast,
     resizeCanvas,
     configureContext,
+    requestDevice,
     initDeviceAndContext,
     validateShader,
     initElements
@@ -75,28 +75,54 @@ function configureContext() {
     }
 }
 
-// Initialize the WebGPU device and context
-async function initDeviceAndContext() {
-    try {
-        // Check WebGPU support
-        if (!navigator.gpu) {
-            throw new Error('WebGPU is not supported in this browser');
+// Watch a device for loss and hand it to the recovery handler if one is given
+function watchDeviceLost(device, onDeviceLost) {
+    device.lost.then((info) => {
+        // Ignore devices that were destroyed on purpose or already replaced
+        if (info.reason === 'destroyed' || gpuState.device !== device) {
+            return;
         }
 
-        // Request adapter
-        const adapter = await navigator.gpu.requestAdapter();
-        if (!adapter) {
-            throw new Error('No WebGPU adapter found');
+        console.error('WebGPU device lost:', info.message);
+        if (onDeviceLost) {
+            onDeviceLost(info);
+        } else {
+            showErrorToast(`GPU device lost: ${info.message}. Reload the page to continue.`, true);
         }
+    });
+}
 
-        // Request device
-        gpuState.device = await adapter.requestDevice();
-        
-        // Set up device error handling for uncaptured errors
-        gpuState.device.addEventListener('uncapturederror', (event) => {
-            showErrorToast(`WebGPU uncaptured error: ${event.error.message}`);
-            console.error('WebGPU uncaptured error:', event.error);
-        });
+// Request a WebGPU adapter and device, also used to replace a lost device
+async function requestDevice(onDeviceLost = null) {
+    // Check WebGPU support
+    if (!navigator.gpu) {
+        throw new Error('WebGPU is not supported in this browser');
+    }
+
+    // Request adapter
+    const adapter = await navigator.gpu.requestAdapter();
+    if (!adapter) {
+        throw new Error('No WebGPU adapter found');
+    }
+
+    // Request device
+    gpuState.device = await adapter.requestDevice();
+    
+    // Set up device error handling for uncaptured errors
+    gpuState.device.addEventListener('uncapturederror', (event) => {
+        showErrorToast(`WebGPU uncaptured error: ${event.error.message}`);
+        console.error('WebGPU uncaptured error:', event.error);
+    });
+
+    // Set up device loss handling
+    watchDeviceLost(gpuState.device, onDeviceLost);
+}
+
+// Initialize the WebGPU device and context
+async function initDeviceAndContext(onDeviceLost = null) {
+    try {
+        // Request adapter and device
+        await requestDevice(onDeviceLost);
         
         // Get canvas context
         gpuState.context = htmlState.canvas.getContext('webgpu');
@@ -104,8 +130,9 @@ async function initDeviceAndContext() {
             throw new Error('Failed to get WebGPU context');
         }
     } catch (error) {
-        showErrorToast(`Device request error: ${error.message}`, neverHide = true);
+        showErrorToast(`Device request error: ${error.message}`, true);
         console.error('Device request error:', error);
+        throw error;
     }
 }
 
@@ -173,6 +200,7 @@ export {
     showErrorToast,
     resizeCanvas,
     configureContext,
+    requestDevice,
     initDeviceAndContext,
     validateShader,
     initElements